@@ -0,0 +1,35 @@
+/**
+ * controllers/profileController.js — Scoring profile handlers
+ *
+ * Endpoints:
+ *  GET /api/profiles       — List available scoring profiles
+ *  GET /api/profiles/:name — Fetch one profile (weights, thresholds, maxScore)
+ */
+
+const scoringProfiles = require('../services/scoringProfiles');
+
+/* ════════════════════════════════════════════════════════
+   GET /api/profiles — List scoring profiles
+   ════════════════════════════════════════════════════════ */
+function listProfiles(req, res) {
+    return res.json({
+        default: scoringProfiles.DEFAULT_PROFILE,
+        items: scoringProfiles.list(),
+    });
+}
+
+/* ════════════════════════════════════════════════════════
+   GET /api/profiles/:name — Retrieve one scoring profile
+   ════════════════════════════════════════════════════════ */
+function getProfile(req, res) {
+    const profile = scoringProfiles.has(req.params.name) ? scoringProfiles.get(req.params.name) : null;
+    if (!profile) {
+        return res.status(404).json({ error: 'Scoring profile not found.' });
+    }
+    return res.json(profile);
+}
+
+module.exports = {
+    listProfiles,
+    getProfile,
+};
@@ -3,53 +3,218 @@
  *
  * Endpoints:
  *  POST /api/prompt   — Analyze a raw prompt (1 AI call)
+ *  POST /api/prompt/batch — Analyze many prompts (1 AI call each, bounded concurrency)
+ *  POST /api/prompt/stream — Analyze a raw prompt, streaming results over SSE (1 AI call;
+ *                            GET ?text=… still works for EventSource clients)
  *  POST /api/clarify  — Merge selected constraint chips and re-analyze (1 AI call)
  *  POST /api/refine   — Further refine the prompt + drift check (1 AI call)
+ *  POST /api/conflicts — Contradictory constraints in a prompt + chip selections (no AI call)
+ *  GET  /api/prompts — List & search stored prompts (filters + cursor pagination)
  *  GET  /api/prompt/:id — Fetch a stored prompt by ID
+ *  GET  /api/prompt/:id/diff — Word-level diff + score delta between two versions
+ *  GET  /api/prompt/:id/drift — Drift timeline across the version chain
+ *  POST /api/prompt/:id/restore — Append an earlier version as the new head (no AI call)
+ *  GET  /api/cache/stats — AI analysis cache counters
  *
- * Architecture: Only promptAnalyzer makes AI calls (1 per endpoint).
+ * Architecture: Only promptAnalyzer makes AI calls (1 per endpoint),
+ * routed through the aiProviders failover chain (AI_PROVIDERS).
  * All other services (intent, scoring, drift) are purely rule-based.
+ *
+ * Warnings, constraint labels and conflict messages are localized from the
+ * request's `locale` field or Accept-Language header (see services/i18n).
  */
 
 const { v4: uuidv4 } = require('uuid');
 const intentDetector = require('../services/intentDetector');
 const constraintDetector = require('../services/constraintDetector');
+const constraintCatalog = require('../services/constraintCatalog');
 const scoringEngine = require('../services/scoringEngine');
+const scoringProfiles = require('../services/scoringProfiles');
 const promptAnalyzer = require('../services/promptAnalyzer');
+const aiProviders = require('../services/aiProviders');
+const analysisCache = require('../services/analysisCache');
 const driftDetector = require('../services/driftDetector');
 const warningGenerator = require('../services/warningGenerator');
+const versionDiff = require('../services/versionDiff');
+const placeholderDetector = require('../services/placeholderDetector');
+const conflictAnalyzer = require('../services/conflictAnalyzer');
+const secretScanner = require('../services/secretScanner');
+const injectionAnalyzer = require('../services/injectionAnalyzer');
+const i18n = require('../services/i18n');
+const storage = require('../storage');
+
+/* ── Helpers: persist / load through the active storage adapter ──
+   (Mongo, in-memory LRU or JSON file — see storage/index.js) */
+async function savePrompt(doc) {
+    return storage.save(doc);
+}
 
-// Try to load the Prompt model — may fail if MongoDB is not connected
-let Prompt;
-try {
-    Prompt = require('../models/Prompt');
-} catch (e) {
-    Prompt = null;
+async function findPrompt(promptId) {
+    return storage.find(promptId);
 }
 
-/* ── Helper: persist to DB if available ────────────────── */
-async function savePrompt(doc) {
-    if (!Prompt) return null;
-    try {
-        const existing = await Prompt.findOne({ promptId: doc.promptId });
-        if (existing) {
-            Object.assign(existing, doc);
-            return await existing.save();
+/* ── Helper: chips for constraints the prompt already sets — the detected
+   value first, then the catalog's alternatives the user can switch to ── */
+function detectedOptions(detected, intent) {
+    const categories = constraintCatalog.forIntent(intent);
+    const options = {};
+    for (const [name, value] of Object.entries(detected)) {
+        const chips = categories.find((c) => c.name === name)?.suggestions || [];
+        options[name] = [value, ...chips.filter((chip) => chip.toLowerCase() !== value.toLowerCase())];
+    }
+    return options;
+}
+
+/* ── Helper: contradictory constraints between what `text` states and the
+   user's chip selections (selections win per category) ── */
+async function findConflicts(text, intent, selections = {}, locale) {
+    const { mentions } = await constraintDetector.detect(text, intent);
+    return conflictAnalyzer.analyze(mentions, selections, locale);
+}
+
+/* ── Helper: boolean flags from JSON bodies or query strings ── */
+function isTruthy(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+/* ── Helper: reject unknown scoring profile names with a 400 ── */
+function unknownProfile(res, profile) {
+    if (!profile || scoringProfiles.has(profile)) return false;
+    res.status(400).json({
+        error: `Unknown scoring profile "${profile}".`,
+        available: scoringProfiles.list().map((p) => p.name),
+    });
+    return true;
+}
+
+/* ── Helper: full analysis pipeline for one raw prompt ──
+   `onRules` (optional) receives the rule-based results before the AI call,
+   so streaming clients can render them while waiting.
+   `bypassCache` forces a fresh AI call instead of a cached analysis.
+   `profile` selects the scoring profile (default: "default").
+   `locale` selects the language of warnings and labels (default: "en").
+   `intentName` (optional) replaces the detected intent — a template
+   declares what it is for. */
+async function runAnalysis(rawText, { onRules, bypassCache = false, profile, locale = i18n.DEFAULT_LOCALE, intentName } = {}) {
+    const promptId = uuidv4();
+
+    // Rule-based analysis (no AI calls)
+    const detectedIntent = await intentDetector.detect(rawText);
+    const intent = intentName && intentName !== detectedIntent.detected
+        ? {
+            ...detectedIntent,
+            detected: intentName,
+            secondary: detectedIntent.secondary === intentName ? null : detectedIntent.secondary,
         }
-        return await Prompt.create(doc);
-    } catch (err) {
-        console.error('DB save error:', err.message);
-        return null;
+        : detectedIntent;
+    const ruleConstraints = await constraintDetector.detect(rawText, intent.detected);
+    const placeholders = placeholderDetector.detect(rawText);
+    const conflicts = conflictAnalyzer.analyze(ruleConstraints.mentions, {}, locale);
+    // Secrets / PII the client didn't redact — reported without their values
+    const sensitive = secretScanner.scan(rawText).map(secretScanner.summarize);
+    const injection = injectionAnalyzer.analyze(rawText, locale);
+
+    if (onRules) {
+        const ruleScores = await scoringEngine.score(rawText, ruleConstraints.gaps, { profile });
+        onRules({
+            promptId,
+            intent,
+            gaps: ruleConstraints.gaps,
+            suggestions: ruleConstraints.suggestions,
+            detectedConstraints: ruleConstraints.detected,
+            constraintOptions: detectedOptions(ruleConstraints.detected, intent.detected),
+            constraintLabels: i18n.labels(locale, intent.detected),
+            placeholders,
+            scores: ruleScores,
+            conflicts,
+            sensitive,
+            injection,
+            warnings: warningGenerator.generate(ruleScores, ruleConstraints.gaps, intent, {
+                placeholders,
+                conflicts,
+                sensitive,
+                injection,
+                locale,
+            }),
+        });
     }
+
+    // Single AI call: get context-aware gaps, suggestions, and refined text
+    const aiResult = await promptAnalyzer.analyze(rawText, {}, { bypassCache, intent: intent.detected });
+
+    // Use AI results if available, otherwise fall back to rule-based
+    const gaps = aiResult ? aiResult.gaps : ruleConstraints.gaps;
+    const suggestions = aiResult ? aiResult.suggestions : ruleConstraints.suggestions;
+    const structuredText = aiResult ? aiResult.refined : rawText;
+    const provider = aiResult ? aiResult.provider : 'rule';
+
+    // Rule-based scoring with the detected gaps
+    const finalScores = await scoringEngine.score(rawText, gaps, { profile });
+    const warnings = warningGenerator.generate(finalScores, gaps, intent, {
+        placeholders,
+        conflicts,
+        sensitive,
+        injection,
+        locale,
+    });
+
+    // Build version history (each version carries its drift vs v0 and its predecessor)
+    const versions = driftDetector.annotate([
+        { label: 'v0_raw', text: rawText },
+        { label: 'v1_structured', text: structuredText, provider },
+    ]);
+
+    const result = {
+        promptId,
+        intent,
+        gaps,
+        suggestions,
+        detectedConstraints: ruleConstraints.detected,
+        constraintOptions: detectedOptions(ruleConstraints.detected, intent.detected),
+        constraintLabels: i18n.labels(locale, intent.detected),
+        placeholders,
+        scores: finalScores,
+        conflicts,
+        sensitive,
+        injection,
+        warnings,
+        versions,
+        driftWarning: '',
+        provider,
+    };
+
+    // Persist to database (non-blocking — don't slow down the response)
+    savePrompt({
+        promptId,
+        versions,
+        intent,
+        // Values the prompt already states; clarify replaces them with the user's picks
+        constraints: ruleConstraints.detected,
+        gaps,
+        suggestions,
+        scores: finalScores,
+        warnings,
+        driftWarning: '',
+    }).catch(() => { });
+
+    return result;
 }
 
-async function findPrompt(promptId) {
-    if (!Prompt) return null;
-    try {
-        return await Prompt.findOne({ promptId });
-    } catch {
-        return null;
+/* ── Helper: map over items with at most `limit` in flight ── */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
     }
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
 }
 
 /* ════════════════════════════════════════════════════════
@@ -58,63 +223,141 @@ async function findPrompt(promptId) {
    ════════════════════════════════════════════════════════ */
 async function analyzePrompt(req, res) {
     try {
-        const { text } = req.body;
+        const { text, profile } = req.body;
         if (!text || typeof text !== 'string' || text.trim().length === 0) {
             return res.status(400).json({ error: 'Missing or empty "text" field.' });
         }
+        if (unknownProfile(res, profile)) return;
 
-        const rawText = text.trim();
-        const promptId = uuidv4();
+        const result = await runAnalysis(text.trim(), {
+            bypassCache: isTruthy(req.body.bypassCache),
+            profile,
+            locale: i18n.resolveLocale(req),
+        });
+        return res.json(result);
+    } catch (err) {
+        console.error('analyzePrompt error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
 
-        // Rule-based analysis (no AI calls)
-        const intent = await intentDetector.detect(rawText);
-        const ruleConstraints = await constraintDetector.detect(rawText);
+/* ════════════════════════════════════════════════════════
+   POST /api/prompt/stream — Streaming analysis (SSE)
+   Emits "rules" (intent, scores, warnings) immediately, then
+   "analysis" (AI gaps, suggestions, refined text) and "done".
+   POST keeps the prompt out of URLs and access logs; GET with
+   ?text=… remains for EventSource clients.
+   ════════════════════════════════════════════════════════ */
+async function streamAnalysis(req, res) {
+    const params = req.method === 'POST' ? (req.body || {}) : req.query;
+    const { text, profile } = params;
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+        return res.status(400).json({ error: 'Missing or empty "text" field.' });
+    }
+    if (unknownProfile(res, profile)) return;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    // res, not req: a POST's request closes as soon as its body has been read
+    res.on('close', () => { closed = true; });
+
+    const send = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-        // Single AI call: get context-aware gaps, suggestions, and refined text
-        const aiResult = await promptAnalyzer.analyze(rawText);
+    try {
+        const result = await runAnalysis(text.trim(), {
+            onRules: (rules) => send('rules', rules),
+            bypassCache: isTruthy(params.bypassCache),
+            profile,
+            locale: i18n.resolveLocale(req),
+        });
+        send('analysis', result);
+        send('done', { promptId: result.promptId });
+    } catch (err) {
+        console.error('streamAnalysis error:', err);
+        send('error', { error: 'Internal server error.' });
+    }
 
-        // Use AI results if available, otherwise fall back to rule-based
-        const gaps = aiResult ? aiResult.gaps : ruleConstraints.gaps;
-        const suggestions = aiResult ? aiResult.suggestions : ruleConstraints.suggestions;
-        const structuredText = aiResult ? aiResult.refined : rawText;
+    return res.end();
+}
 
-        // Rule-based scoring with the detected gaps
-        const finalScores = await scoringEngine.score(rawText, gaps);
-        const warnings = warningGenerator.generate(finalScores, gaps, intent);
+/* ════════════════════════════════════════════════════════
+   POST /api/prompt/batch — Analyze many prompts in one call
+   1 AI call per item, at most BATCH_CONCURRENCY in flight
+   ════════════════════════════════════════════════════════ */
+const BATCH_MAX_ITEMS = 500;
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY, 10) || 3);
+
+function summarizeBatch(items) {
+    const succeeded = items.filter((item) => item.ok);
+    const avg = (field) => succeeded.length
+        ? Math.round((succeeded.reduce((sum, item) => sum + (item.result.scores[field] || 0), 0) / succeeded.length) * 10) / 10
+        : 0;
+
+    const intents = {};
+    const gaps = {};
+    for (const item of succeeded) {
+        const intent = item.result.intent?.detected || 'general';
+        intents[intent] = (intents[intent] || 0) + 1;
+        for (const gap of item.result.gaps || []) {
+            gaps[gap] = (gaps[gap] || 0) + 1;
+        }
+    }
 
-        // Build version history
-        const versions = [
-            { label: 'v0_raw', text: rawText },
-            { label: 'v1_structured', text: structuredText },
-        ];
+    return {
+        total: items.length,
+        succeeded: succeeded.length,
+        failed: items.length - succeeded.length,
+        averageScores: {
+            clarity: avg('clarity'),
+            completeness: avg('completeness'),
+            specificity: avg('specificity'),
+            intentAlignment: avg('intentAlignment'),
+            total: avg('total'),
+        },
+        intents,
+        gaps,
+    };
+}
 
-        const result = {
-            promptId,
-            intent,
-            gaps,
-            suggestions,
-            scores: finalScores,
-            warnings,
-            versions,
-            driftWarning: '',
-        };
+async function analyzeBatch(req, res) {
+    try {
+        const { texts, profile } = req.body;
+        const bypassCache = isTruthy(req.body.bypassCache);
+        const locale = i18n.resolveLocale(req);
+        if (unknownProfile(res, profile)) return;
+        if (!Array.isArray(texts) || texts.length === 0) {
+            return res.status(400).json({ error: 'Missing or empty "texts" array.' });
+        }
+        if (texts.length > BATCH_MAX_ITEMS) {
+            return res.status(400).json({ error: `Too many prompts: maximum is ${BATCH_MAX_ITEMS} per batch.` });
+        }
 
-        // Persist to database (non-blocking — don't slow down the response)
-        savePrompt({
-            promptId,
-            versions,
-            intent,
-            constraints: {},
-            gaps,
-            suggestions,
-            scores: finalScores,
-            warnings,
-            driftWarning: '',
-        }).catch(() => { });
+        const items = await mapWithConcurrency(texts, BATCH_CONCURRENCY, async (text, index) => {
+            if (!text || typeof text !== 'string' || text.trim().length === 0) {
+                return { index, ok: false, error: 'Missing or empty text.' };
+            }
+            try {
+                const result = await runAnalysis(text.trim(), { bypassCache, profile, locale });
+                return { index, ok: true, result };
+            } catch (err) {
+                console.error(`analyzeBatch item ${index} error:`, err.message);
+                return { index, ok: false, error: 'Analysis failed.' };
+            }
+        });
 
-        return res.json(result);
+        return res.json({ items, stats: summarizeBatch(items) });
     } catch (err) {
-        console.error('analyzePrompt error:', err);
+        console.error('analyzeBatch error:', err);
         return res.status(500).json({ error: 'Internal server error.' });
     }
 }
@@ -129,6 +372,7 @@ async function clarifyPrompt(req, res) {
         if (!promptId || !selections) {
             return res.status(400).json({ error: 'Missing "promptId" or "selections".' });
         }
+        if (unknownProfile(res, req.body.profile)) return;
 
         // Retrieve existing prompt
         const existing = await findPrompt(promptId);
@@ -140,11 +384,18 @@ async function clarifyPrompt(req, res) {
             return res.status(404).json({ error: 'Prompt not found. Provide "originalText".' });
         }
 
+        // Expected constraints follow the intent detected on first analysis
+        const intentName = existing?.intent?.detected;
+
         // Single AI call: refine with constraints + get remaining gaps
-        const aiResult = await promptAnalyzer.analyze(rawText, selections);
+        const aiResult = await promptAnalyzer.analyze(rawText, selections, {
+            bypassCache: isTruthy(req.body.bypassCache),
+            intent: intentName,
+        });
 
         // Fallback if AI fails
         let refined, gaps, suggestions;
+        const provider = aiResult ? aiResult.provider : 'rule';
         if (aiResult) {
             refined = aiResult.refined;
             gaps = aiResult.gaps;
@@ -152,26 +403,31 @@ async function clarifyPrompt(req, res) {
         } else {
             // Simple rule-based fallback: append constraints to prompt
             refined = rawText + ' [' + Object.entries(selections).map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join(' or ') : v}`).join(', ') + ']';
-            const ruleResult = await constraintDetector.detect(refined);
+            const ruleResult = await constraintDetector.detect(refined, intentName);
             gaps = ruleResult.gaps;
             suggestions = ruleResult.suggestions;
         }
 
         // Rule-based scoring and warnings
-        const scores = await scoringEngine.score(refined, gaps);
-        const warnings = warningGenerator.generate(scores, gaps, existing?.intent || {});
+        const placeholders = placeholderDetector.detect(refined);
+        // Keep scoring with the prompt's profile unless the request picks another
+        const profile = req.body.profile || existing?.scores?.profile;
+        const scores = await scoringEngine.score(refined, gaps, { profile });
+        const locale = i18n.resolveLocale(req);
+        const conflicts = await findConflicts(rawText, intentName, selections, locale);
+        const warnings = warningGenerator.generate(scores, gaps, existing?.intent || {}, { placeholders, conflicts, locale });
 
         // Build new version
         const versionLabel = existing
             ? `v${existing.versions.length}_clarified`
             : 'v2_clarified';
 
-        const versions = existing
-            ? [...existing.versions, { label: versionLabel, text: refined }]
+        const versions = driftDetector.annotate(existing
+            ? [...existing.versions, { label: versionLabel, text: refined, provider }]
             : [
                 { label: 'v0_raw', text: rawText },
-                { label: versionLabel, text: refined },
-            ];
+                { label: versionLabel, text: refined, provider },
+            ]);
 
         const result = {
             promptId,
@@ -179,9 +435,13 @@ async function clarifyPrompt(req, res) {
             constraints: selections,
             gaps,
             suggestions,
+            constraintLabels: i18n.labels(locale, intentName),
+            placeholders,
             scores,
+            conflicts,
             warnings,
             versions,
+            provider,
         };
 
         // Update in database (non-blocking)
@@ -212,6 +472,7 @@ async function refinePrompt(req, res) {
         if (!text) {
             return res.status(400).json({ error: 'Missing "text" field.' });
         }
+        if (unknownProfile(res, req.body.profile)) return;
 
         // Retrieve original for drift comparison
         const existing = await findPrompt(promptId);
@@ -219,43 +480,65 @@ async function refinePrompt(req, res) {
             ? existing.versions[0].text
             : (req.body.originalText || text);
 
+        const intentName = existing?.intent?.detected;
+
         // Single AI call: refine further with constraints
-        const aiResult = await promptAnalyzer.analyze(text, constraints || {});
+        const aiResult = await promptAnalyzer.analyze(text, constraints || {}, {
+            bypassCache: isTruthy(req.body.bypassCache),
+            intent: intentName,
+        });
         const refined = aiResult ? aiResult.refined : text;
+        const provider = aiResult ? aiResult.provider : 'rule';
 
         // Rule-based drift detection
         const drift = await driftDetector.detect(originalText, refined);
 
         // Rule-based scoring
-        const ruleConstraints = await constraintDetector.detect(refined);
-        const scores = await scoringEngine.score(refined, ruleConstraints.gaps);
-        const warnings = warningGenerator.generate(scores, ruleConstraints.gaps, existing?.intent || {});
-
-        // Add drift warning if detected
-        if (drift.driftDetected) {
-            warnings.unshift(`🔀 ${drift.driftWarning}`);
-        }
+        const ruleConstraints = await constraintDetector.detect(refined, intentName);
+        const placeholders = placeholderDetector.detect(refined);
+        const profile = req.body.profile || existing?.scores?.profile;
+        const scores = await scoringEngine.score(refined, ruleConstraints.gaps, { profile });
+        const locale = i18n.resolveLocale(req);
+        const conflicts = conflictAnalyzer.analyze(ruleConstraints.mentions, constraints, locale);
+        const warnings = warningGenerator.generate(scores, ruleConstraints.gaps, existing?.intent || {}, {
+            placeholders,
+            conflicts,
+            drift,
+            locale,
+        });
+        // Same localized sentence as the structured INTENT_DRIFT warning
+        const driftWarning = warnings.find((w) => w.code === 'INTENT_DRIFT')?.message || '';
 
         // Build version
         const versionLabel = existing
             ? `v${existing.versions.length}_refined`
             : 'v2_refined';
 
-        const versions = existing
-            ? [...existing.versions, { label: versionLabel, text: refined }]
+        const versions = driftDetector.annotate(existing
+            ? [...existing.versions, { label: versionLabel, text: refined, provider }]
             : [
                 { label: 'v0_raw', text: originalText },
-                { label: versionLabel, text: refined },
-            ];
+                { label: versionLabel, text: refined, provider },
+            ]);
 
         const result = {
             promptId: promptId || uuidv4(),
             refined,
+            placeholders,
             scores,
+            conflicts,
             warnings,
-            driftWarning: drift.driftWarning,
+            driftWarning,
             driftDetected: drift.driftDetected,
+            // Which key terms the refinement dropped / added, for the panel
+            drift: {
+                similarity: drift.similarity,
+                coverage: drift.coverage,
+                lostTerms: drift.lostTerms,
+                introducedTerms: drift.introducedTerms,
+            },
             versions,
+            provider,
         };
 
         // Update in database (non-blocking)
@@ -264,7 +547,7 @@ async function refinePrompt(req, res) {
             versions,
             scores,
             warnings,
-            driftWarning: drift.driftWarning,
+            driftWarning,
         }).catch(() => { });
 
         return res.json(result);
@@ -274,6 +557,103 @@ async function refinePrompt(req, res) {
     }
 }
 
+/* ════════════════════════════════════════════════════════
+   POST /api/conflicts — Contradictory constraints before clarify/refine
+   No AI call — lets the panel ask which value wins first
+   ════════════════════════════════════════════════════════ */
+async function checkConflicts(req, res) {
+    try {
+        const { promptId, text, selections } = req.body;
+        if (selections && (typeof selections !== 'object' || Array.isArray(selections))) {
+            return res.status(400).json({ error: '"selections" must be an object.' });
+        }
+
+        const existing = promptId ? await findPrompt(promptId) : null;
+        const rawText = existing ? existing.versions[0].text : (text || '');
+        if (!rawText && !selections) {
+            return res.status(400).json({ error: 'Provide "promptId", "text" or "selections".' });
+        }
+
+        const intent = existing?.intent?.detected || (await intentDetector.detect(rawText)).detected;
+        const conflicts = await findConflicts(rawText, intent, selections || {}, i18n.resolveLocale(req));
+
+        return res.json({ promptId: promptId || null, conflicts });
+    } catch (err) {
+        console.error('checkConflicts error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+/* ════════════════════════════════════════════════════════
+   GET /api/prompts — List & search stored prompts
+   Query: intent, minScore, maxScore, from, to, gaps (comma-separated),
+          q (full-text over version text), limit, cursor
+   ════════════════════════════════════════════════════════ */
+const LIST_MAX_LIMIT = 100;
+
+function encodeCursor(cursor) {
+    if (!cursor) return null;
+    const raw = `${new Date(cursor.createdAt).toISOString()}|${cursor.promptId}`;
+    return Buffer.from(raw).toString('base64url');
+}
+
+function decodeCursor(value) {
+    const raw = Buffer.from(String(value), 'base64url').toString('utf8');
+    const sep = raw.indexOf('|');
+    const createdAt = new Date(raw.slice(0, sep));
+    if (sep < 0 || Number.isNaN(createdAt.getTime())) return null;
+    return { createdAt, promptId: raw.slice(sep + 1) };
+}
+
+async function listPrompts(req, res) {
+    try {
+        const { intent, minScore, maxScore, from, to, gaps, q, cursor } = req.query;
+        const filter = {};
+
+        if (intent) filter.intent = String(intent);
+
+        if (minScore !== undefined) filter.minScore = Number(minScore);
+        if (maxScore !== undefined) filter.maxScore = Number(maxScore);
+        if (Number.isNaN(filter.minScore) || Number.isNaN(filter.maxScore)) {
+            return res.status(400).json({ error: '"minScore" and "maxScore" must be numbers.' });
+        }
+
+        if (from) filter.from = new Date(from);
+        if (to) filter.to = new Date(to);
+        if ((filter.from && Number.isNaN(filter.from.getTime())) || (filter.to && Number.isNaN(filter.to.getTime()))) {
+            return res.status(400).json({ error: '"from" and "to" must be valid dates.' });
+        }
+
+        if (gaps) {
+            filter.gaps = String(gaps).split(',').map((g) => g.trim()).filter(Boolean);
+        }
+
+        if (q) filter.q = String(q);
+
+        let decodedCursor = null;
+        if (cursor) {
+            decodedCursor = decodeCursor(cursor);
+            if (!decodedCursor) {
+                return res.status(400).json({ error: 'Invalid "cursor".' });
+            }
+        }
+
+        const limit = Math.min(LIST_MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const page = await storage.list({ filter, cursor: decodedCursor, limit });
+        if (!page) {
+            return res.status(503).json({ error: 'Prompt storage is unavailable.' });
+        }
+
+        return res.json({
+            items: page.items,
+            nextCursor: encodeCursor(page.nextCursor),
+        });
+    } catch (err) {
+        console.error('listPrompts error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
 /* ════════════════════════════════════════════════════════
    GET /api/prompt/:id — Retrieve stored prompt
    ════════════════════════════════════════════════════════ */
@@ -291,6 +671,165 @@ async function getPrompt(req, res) {
     }
 }
 
+/* ── Helper: rule-based scores for an arbitrary version text ── */
+async function scoreText(text, profile, intent) {
+    const { gaps } = await constraintDetector.detect(text, intent);
+    return scoringEngine.score(text, gaps, { profile });
+}
+
+const SCORE_DIMENSIONS = ['clarity', 'completeness', 'specificity', 'intentAlignment', 'total'];
+
+/* ════════════════════════════════════════════════════════
+   GET /api/prompt/:id/diff?from=v0_raw&to=v3_refined
+   Word-level diff between two stored versions + score delta
+   ════════════════════════════════════════════════════════ */
+async function diffVersions(req, res) {
+    try {
+        if (unknownProfile(res, req.query.profile)) return;
+
+        const { id } = req.params;
+        const prompt = await findPrompt(id);
+        if (!prompt) {
+            return res.status(404).json({ error: 'Prompt not found.' });
+        }
+
+        const versions = prompt.versions || [];
+        const fromLabel = req.query.from || versions[0]?.label;
+        const toLabel = req.query.to || versions[versions.length - 1]?.label;
+        const fromVersion = versions.find((v) => v.label === fromLabel);
+        const toVersion = versions.find((v) => v.label === toLabel);
+
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({
+                error: `Version not found: ${!fromVersion ? fromLabel : toLabel}.`,
+                available: versions.map((v) => v.label),
+            });
+        }
+
+        const { spans, stats } = versionDiff.diff(fromVersion.text, toVersion.text);
+        const profile = req.query.profile || prompt.scores?.profile;
+        const fromScores = await scoreText(fromVersion.text, profile, prompt.intent?.detected);
+        const toScores = await scoreText(toVersion.text, profile, prompt.intent?.detected);
+        const delta = {};
+        for (const key of SCORE_DIMENSIONS) {
+            delta[key] = toScores[key] - fromScores[key];
+        }
+
+        return res.json({
+            promptId: id,
+            from: fromLabel,
+            to: toLabel,
+            spans,
+            stats,
+            scores: { from: fromScores, to: toScores, delta },
+        });
+    } catch (err) {
+        console.error('diffVersions error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+/* ════════════════════════════════════════════════════════
+   GET /api/prompt/:id/drift — Drift timeline across all versions
+   Each step vs its predecessor and vs v0, plus where drift started
+   ════════════════════════════════════════════════════════ */
+async function driftTimeline(req, res) {
+    try {
+        const { id } = req.params;
+        const prompt = await findPrompt(id);
+        if (!prompt) {
+            return res.status(404).json({ error: 'Prompt not found.' });
+        }
+
+        const { steps, driftStartedAt, driftDetectedAt } = driftDetector.timeline(prompt.versions || []);
+        return res.json({ promptId: id, driftStartedAt, driftDetectedAt, steps });
+    } catch (err) {
+        console.error('driftTimeline error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+/* ════════════════════════════════════════════════════════
+   POST /api/prompt/:id/restore — Re-append an earlier version as head
+   No AI call — rule-based gaps, scoring and warnings only
+   ════════════════════════════════════════════════════════ */
+async function restoreVersion(req, res) {
+    try {
+        const { id } = req.params;
+        const { label } = req.body;
+        if (!label) {
+            return res.status(400).json({ error: 'Missing "label" field.' });
+        }
+        if (unknownProfile(res, req.body.profile)) return;
+
+        const existing = await findPrompt(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Prompt not found.' });
+        }
+
+        const source = existing.versions.find((v) => v.label === label);
+        if (!source) {
+            return res.status(404).json({
+                error: `Version not found: ${label}.`,
+                available: existing.versions.map((v) => v.label),
+            });
+        }
+
+        const text = source.text;
+        const { gaps, suggestions } = await constraintDetector.detect(text, existing.intent?.detected);
+        const placeholders = placeholderDetector.detect(text);
+        const scores = await scoringEngine.score(text, gaps, { profile: req.body.profile || existing.scores?.profile });
+        const warnings = warningGenerator.generate(scores, gaps, existing.intent || {}, {
+            placeholders,
+            locale: i18n.resolveLocale(req),
+        });
+
+        // History stays append-only: the restored text becomes a new version
+        const versionLabel = `v${existing.versions.length}_restored`;
+        const versions = driftDetector.annotate([...existing.versions, { label: versionLabel, text }]);
+
+        const result = {
+            promptId: id,
+            restoredFrom: label,
+            refined: text,
+            gaps,
+            suggestions,
+            placeholders,
+            scores,
+            warnings,
+            versions,
+        };
+
+        // Update in database (non-blocking)
+        savePrompt({
+            promptId: id,
+            versions,
+            gaps,
+            suggestions,
+            scores,
+            warnings,
+            driftWarning: '',
+        }).catch(() => { });
+
+        return res.json(result);
+    } catch (err) {
+        console.error('restoreVersion error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+/* ════════════════════════════════════════════════════════
+   GET /api/cache/stats — AI analysis cache hit/miss counters
+   ════════════════════════════════════════════════════════ */
+async function cacheStats(req, res) {
+    try {
+        return res.json(await analysisCache.stats());
+    } catch (err) {
+        console.error('cacheStats error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
 /* ════════════════════════════════════════════════════════
    GET /api/debug — Diagnostic endpoint for AI pipeline
    ════════════════════════════════════════════════════════ */
@@ -298,6 +837,7 @@ async function debugAI(req, res) {
     const diag = {
         env: {
             USE_AI: process.env.USE_AI,
+            AI_PROVIDERS: aiProviders.configuredProviders(),
             GROQ_KEY_SET: !!(process.env.GROQ_API_KEY && process.env.GROQ_API_KEY !== 'YOUR_GROQ_API_KEY_HERE'),
             GROQ_KEY_PREFIX: process.env.GROQ_API_KEY ? process.env.GROQ_API_KEY.slice(0, 8) + '...' : 'NOT SET',
             NODE_VERSION: process.version,
@@ -340,9 +880,20 @@ async function debugAI(req, res) {
 }
 
 module.exports = {
+    runAnalysis,
+    isTruthy,
+    unknownProfile,
     analyzePrompt,
+    analyzeBatch,
+    streamAnalysis,
     clarifyPrompt,
     refinePrompt,
+    checkConflicts,
+    listPrompts,
     getPrompt,
+    diffVersions,
+    driftTimeline,
+    restoreVersion,
+    cacheStats,
     debugAI,
 };
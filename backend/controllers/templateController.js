@@ -0,0 +1,202 @@
+/**
+ * controllers/templateController.js — Prompt template library handlers
+ *
+ * Endpoints:
+ *  GET    /api/templates             — List templates (filters: tag, intent)
+ *  POST   /api/templates             — Create a template
+ *  GET    /api/templates/:id         — Fetch a template
+ *  PUT    /api/templates/:id         — Update a template
+ *  DELETE /api/templates/:id         — Delete a template
+ *  POST   /api/templates/:id/render  — Fill variables + run the analysis pipeline (1 AI call)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const templateRenderer = require('../services/templateRenderer');
+const i18n = require('../services/i18n');
+const { runAnalysis, isTruthy, unknownProfile } = require('./promptController');
+
+const EDITABLE_FIELDS = ['name', 'body', 'description', 'tags', 'targetIntent'];
+
+/* ── Helper: validate & normalize an incoming template body ── */
+function readTemplateFields(body, { partial = false } = {}) {
+    const fields = {};
+    for (const key of EDITABLE_FIELDS) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+
+    if (!partial || fields.name !== undefined) {
+        if (typeof fields.name !== 'string' || fields.name.trim().length === 0) {
+            return { error: 'Missing or empty "name" field.' };
+        }
+        fields.name = fields.name.trim();
+    }
+    if (!partial || fields.body !== undefined) {
+        if (typeof fields.body !== 'string' || fields.body.trim().length === 0) {
+            return { error: 'Missing or empty "body" field.' };
+        }
+        fields.variables = templateRenderer.extractVariables(fields.body);
+    }
+    if (fields.tags !== undefined) {
+        if (!Array.isArray(fields.tags)) {
+            return { error: '"tags" must be an array of strings.' };
+        }
+        fields.tags = fields.tags.map((t) => String(t).trim()).filter(Boolean);
+    }
+    if (fields.description !== undefined) fields.description = String(fields.description);
+    if (fields.targetIntent !== undefined) fields.targetIntent = String(fields.targetIntent);
+
+    return { fields };
+}
+
+/* ════════════════════════════════════════════════════════
+   GET /api/templates — List templates
+   ════════════════════════════════════════════════════════ */
+async function listTemplates(req, res) {
+    try {
+        const { tag, intent } = req.query;
+        const templates = await storage.templates.list({ tag, intent });
+        if (!templates) {
+            return res.status(503).json({ error: 'Template storage is unavailable.' });
+        }
+        return res.json({ items: templates });
+    } catch (err) {
+        console.error('listTemplates error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+/* ════════════════════════════════════════════════════════
+   POST /api/templates — Create a template
+   ════════════════════════════════════════════════════════ */
+async function createTemplate(req, res) {
+    try {
+        const { fields, error } = readTemplateFields(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const template = await storage.templates.save({
+            templateId: uuidv4(),
+            description: '',
+            tags: [],
+            targetIntent: '',
+            ...fields,
+        });
+        if (!template) {
+            return res.status(503).json({ error: 'Template storage is unavailable.' });
+        }
+        return res.status(201).json(template);
+    } catch (err) {
+        console.error('createTemplate error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+/* ════════════════════════════════════════════════════════
+   GET /api/templates/:id — Fetch a template
+   ════════════════════════════════════════════════════════ */
+async function getTemplate(req, res) {
+    try {
+        const template = await storage.templates.find(req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found.' });
+        }
+        return res.json(template);
+    } catch (err) {
+        console.error('getTemplate error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+/* ════════════════════════════════════════════════════════
+   PUT /api/templates/:id — Update a template (partial)
+   ════════════════════════════════════════════════════════ */
+async function updateTemplate(req, res) {
+    try {
+        const { id } = req.params;
+        const existing = await storage.templates.find(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Template not found.' });
+        }
+
+        const { fields, error } = readTemplateFields(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const template = await storage.templates.save({ templateId: id, ...fields });
+        if (!template) {
+            return res.status(503).json({ error: 'Template storage is unavailable.' });
+        }
+        return res.json(template);
+    } catch (err) {
+        console.error('updateTemplate error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+/* ════════════════════════════════════════════════════════
+   DELETE /api/templates/:id — Delete a template
+   ════════════════════════════════════════════════════════ */
+async function deleteTemplate(req, res) {
+    try {
+        const removed = await storage.templates.remove(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Template not found.' });
+        }
+        return res.status(204).end();
+    } catch (err) {
+        console.error('deleteTemplate error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+/* ════════════════════════════════════════════════════════
+   POST /api/templates/:id/render — Fill variables & analyze
+   1 AI call (promptAnalyzer via the normal analysis pipeline)
+   ════════════════════════════════════════════════════════ */
+async function renderTemplate(req, res) {
+    try {
+        const { profile } = req.body;
+        if (unknownProfile(res, profile)) return;
+
+        const template = await storage.templates.find(req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found.' });
+        }
+
+        const { text, missing } = templateRenderer.render(template.body, req.body.variables || {});
+        if (missing.length > 0) {
+            return res.status(400).json({
+                error: `Missing values for template variables: ${missing.join(', ')}.`,
+                missing,
+            });
+        }
+
+        // Analyze against the intent the template was written for, if it names one
+        const analysis = await runAnalysis(text.trim(), {
+            bypassCache: isTruthy(req.body.bypassCache),
+            profile,
+            locale: i18n.resolveLocale(req),
+            intentName: template.targetIntent || undefined,
+        });
+        return res.json({
+            templateId: template.templateId,
+            rendered: text,
+            ...analysis,
+        });
+    } catch (err) {
+        console.error('renderTemplate error:', err);
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+module.exports = {
+    listTemplates,
+    createTemplate,
+    getTemplate,
+    updateTemplate,
+    deleteTemplate,
+    renderTemplate,
+};
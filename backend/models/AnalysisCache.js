@@ -0,0 +1,21 @@
+/**
+ * models/AnalysisCache.js — Mongoose schema for cached AI analyses
+ *
+ * One document per (normalized prompt text, constraints) key.
+ * MongoDB's TTL monitor removes entries once `expiresAt` has passed.
+ */
+
+const mongoose = require('mongoose');
+
+const analysisCacheSchema = new mongoose.Schema(
+    {
+        key: { type: String, required: true, unique: true, index: true },
+        result: { type: mongoose.Schema.Types.Mixed, required: true },
+        expiresAt: { type: Date, required: true },
+    },
+    { timestamps: true }
+);
+
+analysisCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalysisCache', analysisCacheSchema);
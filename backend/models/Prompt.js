@@ -7,10 +7,35 @@
 
 const mongoose = require('mongoose');
 
+// Documents saved before confidence became a 0–1 score hold "high" | "medium" | "low"
+const LEGACY_CONFIDENCE = { high: 0.9, medium: 0.6, low: 0.3 };
+
+function legacyConfidence(value) {
+    return typeof value === 'string' && value in LEGACY_CONFIDENCE ? LEGACY_CONFIDENCE[value] : value;
+}
+
+// Drift of a version against one earlier version (see driftDetector)
+const driftSchema = new mongoose.Schema(
+    {
+        similarity: { type: Number, min: 0, max: 1 },
+        coverage: { type: Number, min: 0, max: 1 },   // weighted share of earlier key terms kept
+        driftDetected: { type: Boolean, default: false },
+        lostTerms: [String],
+        introducedTerms: [String],
+    },
+    { _id: false }
+);
+
 const versionSchema = new mongoose.Schema(
     {
         label: { type: String, required: true },   // e.g. "v0_raw", "v1_structured", "v2_refined"
         text: { type: String, required: true },
+        provider: { type: String, default: '' },   // AI provider that produced it ("groq", "gemini", …), "cache" or "rule"
+        // Absent on v0; fromPrevious = vs the version before, fromOriginal = vs v0
+        drift: {
+            fromPrevious: { type: driftSchema, default: undefined },
+            fromOriginal: { type: driftSchema, default: undefined },
+        },
         createdAt: { type: Date, default: Date.now },
     },
     { _id: false }
@@ -22,7 +47,9 @@ const scoreSchema = new mongoose.Schema(
         completeness: { type: Number, min: 0, max: 10, default: 0 },
         specificity: { type: Number, min: 0, max: 10, default: 0 },
         intentAlignment: { type: Number, min: 0, max: 10, default: 0 },
-        total: { type: Number, min: 0, max: 40, default: 0 },
+        total: { type: Number, min: 0, default: 0 },
+        maxScore: { type: Number, default: 40 },          // set by the scoring profile
+        profile: { type: String, default: 'default' },    // scoring profile name
     },
     { _id: false }
 );
@@ -33,23 +60,38 @@ const promptSchema = new mongoose.Schema(
         versions: [versionSchema],
         intent: {
             detected: { type: String, default: '' },
-            confidence: { type: String, enum: ['high', 'medium', 'low'], default: 'low' },
+            secondary: { type: String, default: null },
+            // 0–1, from the winner's score and its margin over the runner-up
+            confidence: { type: Number, min: 0, max: 1, default: 0, set: legacyConfidence },
+            level: { type: String, enum: ['high', 'medium', 'low'], default: 'low' },
+            ranked: [{ intent: String, score: Number, _id: false }],
             source: { type: String, enum: ['ai', 'rule', 'hybrid'], default: 'rule' },
         },
-        constraints: {
-            language: { type: String, default: '' },
-            level: { type: String, default: '' },
-            outputFormat: { type: String, default: '' },
-            scope: { type: String, default: '' },
-            examples: { type: String, default: '' },
-        },
+        // Keyed by constraint category (language, level, … plus team-defined
+        // categories from config/constraintCategories.json)
+        constraints: { type: mongoose.Schema.Types.Mixed, default: {} },
         gaps: [String],
         suggestions: { type: mongoose.Schema.Types.Mixed, default: {} },
         scores: { type: scoreSchema, default: () => ({}) },
-        warnings: [String],
+        // Structured { code, severity, dimension, message, action?, text } objects
+        // (see warningGenerator); documents saved before that hold plain strings
+        warnings: { type: [mongoose.Schema.Types.Mixed], default: [] },
         driftWarning: { type: String, default: '' },
     },
     { timestamps: true }
 );
 
+// Legacy documents: the old confidence string becomes the level, and the
+// score its numeric equivalent — before casting, so re-saving them validates
+promptSchema.pre('init', function migrateLegacyIntent(raw) {
+    const intent = raw.intent;
+    if (!intent || typeof intent.confidence !== 'string') return;
+    if (!intent.level && intent.confidence in LEGACY_CONFIDENCE) intent.level = intent.confidence;
+    intent.confidence = legacyConfidence(intent.confidence);
+});
+
+// Listing / search support for GET /api/prompts
+promptSchema.index({ createdAt: -1, promptId: -1 });
+promptSchema.index({ 'versions.text': 'text' });
+
 module.exports = mongoose.model('Prompt', promptSchema);
@@ -0,0 +1,23 @@
+/**
+ * models/Template.js — Mongoose schema for team prompt templates
+ *
+ * A template is a reusable prompt skeleton with {{variable}} placeholders,
+ * plus metadata used to browse and filter the library.
+ */
+
+const mongoose = require('mongoose');
+
+const templateSchema = new mongoose.Schema(
+    {
+        templateId: { type: String, required: true, unique: true, index: true },
+        name: { type: String, required: true },
+        body: { type: String, required: true },         // e.g. "Write a {{language}} function that {{task}}"
+        description: { type: String, default: '' },
+        tags: { type: [String], default: [], index: true },
+        targetIntent: { type: String, default: '' },    // one of intentDetector's intents, or ''
+        variables: { type: [String], default: [] },     // derived from body on save
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model('Template', templateSchema);
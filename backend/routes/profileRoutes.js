@@ -0,0 +1,15 @@
+/**
+ * routes/profileRoutes.js — Express router for scoring profiles
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/profileController');
+
+// GET /api/profiles — List scoring profiles
+router.get('/profiles', controller.listProfiles);
+
+// GET /api/profiles/:name — Retrieve one scoring profile
+router.get('/profiles/:name', controller.getProfile);
+
+module.exports = router;
@@ -9,15 +9,41 @@ const controller = require('../controllers/promptController');
 // POST /api/prompt — Analyze raw prompt
 router.post('/prompt', controller.analyzePrompt);
 
+// POST /api/prompt/batch — Analyze an array of prompts with bounded AI concurrency
+router.post('/prompt/batch', controller.analyzeBatch);
+
+// POST /api/prompt/stream — Analyze a raw prompt, streaming partial results over SSE
+router.post('/prompt/stream', controller.streamAnalysis);
+// GET /api/prompt/stream?text=… — Same, for EventSource clients
+router.get('/prompt/stream', controller.streamAnalysis);
+
 // POST /api/clarify — Merge selected chips and re-analyze
 router.post('/clarify', controller.clarifyPrompt);
 
 // POST /api/refine — AI refinement + drift detection
 router.post('/refine', controller.refinePrompt);
 
+// POST /api/conflicts — Contradictory constraints in a prompt + chip selections
+router.post('/conflicts', controller.checkConflicts);
+
+// GET /api/prompts — List & search stored prompts
+router.get('/prompts', controller.listPrompts);
+
 // GET /api/prompt/:id — Retrieve stored prompt
 router.get('/prompt/:id', controller.getPrompt);
 
+// GET /api/prompt/:id/diff — Word-level diff between two stored versions
+router.get('/prompt/:id/diff', controller.diffVersions);
+
+// GET /api/prompt/:id/drift — Per-version drift timeline (vs previous and vs v0)
+router.get('/prompt/:id/drift', controller.driftTimeline);
+
+// POST /api/prompt/:id/restore — Append an earlier version as the new head
+router.post('/prompt/:id/restore', controller.restoreVersion);
+
+// GET /api/cache/stats — AI analysis cache hit/miss counters
+router.get('/cache/stats', controller.cacheStats);
+
 // GET /api/debug — Test AI pipeline
 router.get('/debug', controller.debugAI);
 
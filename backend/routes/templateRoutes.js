@@ -0,0 +1,27 @@
+/**
+ * routes/templateRoutes.js — Express router for the prompt template library
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/templateController');
+
+// GET /api/templates — List templates (?tag=&intent=)
+router.get('/templates', controller.listTemplates);
+
+// POST /api/templates — Create a template
+router.post('/templates', controller.createTemplate);
+
+// GET /api/templates/:id — Retrieve a template
+router.get('/templates/:id', controller.getTemplate);
+
+// PUT /api/templates/:id — Update a template
+router.put('/templates/:id', controller.updateTemplate);
+
+// DELETE /api/templates/:id — Delete a template
+router.delete('/templates/:id', controller.deleteTemplate);
+
+// POST /api/templates/:id/render — Fill variables and run the analysis pipeline
+router.post('/templates/:id/render', controller.renderTemplate);
+
+module.exports = router;
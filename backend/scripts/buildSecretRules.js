@@ -0,0 +1,57 @@
+/**
+ * scripts/buildSecretRules.js — Generate the extension's copy of the secret rules
+ *
+ * The backend and extension scanners share one rule list,
+ * config/secretRules.json. The extension can't read backend files, so this
+ * writes it out as extension/secretRules.js (window.PISecretRules), loaded
+ * before extension/secretScanner.js.
+ *
+ * With --check nothing is written; exit code 1 when the generated file is
+ * missing or out of date.
+ *
+ * Usage: npm run build:secret-rules
+ *        npm run check:secret-rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RULES_FILE = path.join(__dirname, '..', 'config', 'secretRules.json');
+const OUTPUT_FILE = path.join(__dirname, '..', '..', 'extension', 'secretRules.js');
+
+function render() {
+    const { rules, entropy } = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+    return `/**
+ * secretRules.js — Secret & PII patterns for secretScanner.js
+ *
+ * GENERATED from backend/config/secretRules.json by \`npm run build:secret-rules\`
+ * (in backend/) — edit the JSON and regenerate; don't edit this file.
+ * Loaded before secretScanner.js and exposed as window.PISecretRules.
+ */
+
+window.PISecretRules = ${JSON.stringify({ rules, entropy }, null, 2)};
+`;
+}
+
+function main() {
+    const output = render();
+    const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : null;
+
+    if (process.argv.includes('--check')) {
+        const upToDate = current === output;
+        console.log(upToDate
+            ? '✅ extension/secretRules.js matches config/secretRules.json'
+            : '❌ extension/secretRules.js is out of date — run `npm run build:secret-rules`');
+        process.exitCode = upToDate ? 0 : 1;
+        return;
+    }
+
+    if (current === output) {
+        console.log('✅ extension/secretRules.js already up to date');
+        return;
+    }
+    fs.writeFileSync(OUTPUT_FILE, output);
+    console.log('✅ Wrote extension/secretRules.js');
+}
+
+main();
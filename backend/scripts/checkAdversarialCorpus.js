@@ -0,0 +1,127 @@
+/**
+ * scripts/checkAdversarialCorpus.js — Replay the meta-prompt injection corpus
+ *
+ * Runs every prompt in fixtures/adversarial/prompts.json through
+ * promptAnalyzer with the mock provider (no network) and checks the
+ * meta-prompt the model would have been sent:
+ *  - everything outside the <user_prompt> block is exactly what a harmless
+ *    prompt with the same intent gets — the text couldn't close the block
+ *    early, open another one or add instructions after it
+ *  - the case's `injected` text appears only inside the block
+ *  - the block holds no raw fence tag, and each `neutralized` look-alike
+ *    appears in its escaped form; unwrapping gives back the exact prompt
+ *  - the gaps equal the case's fixed `gaps`
+ *
+ * Exit code 1 on failure.
+ *
+ * Usage: npm run check:adversarial
+ */
+
+const path = require('path');
+
+// Offline, uncached, deterministic answers — set before the services load
+process.env.USE_AI = 'true';
+process.env.AI_PROVIDERS = 'capture';
+process.env.ANALYSIS_CACHE = 'off';
+process.env.MOCK_AI_MODE = 'replay';
+delete process.env.MOCK_AI_FAULT;
+
+const aiProviders = require('../services/aiProviders');
+const mockClient = require('../services/mockClient');
+const promptAnalyzer = require('../services/promptAnalyzer');
+const promptFence = require('../services/promptFence');
+
+const CORPUS_FILE = path.join(__dirname, '..', 'fixtures', 'adversarial', 'prompts.json');
+const FENCE_TAG = /<\s*\/?\s*user_prompt\b[^<>&]*>/i;
+const OPEN = '<user_prompt>\n';
+const CLOSE = '\n</user_prompt>';
+const HARMLESS_TEXT = 'Write a haiku about autumn';
+
+// The mock provider, keeping the last meta-prompt it was sent
+let lastPrompt = '';
+aiProviders.register('capture', {
+    generate: async (prompt) => {
+        lastPrompt = prompt;
+        return mockClient.generate(prompt);
+    },
+});
+
+/* ── A meta-prompt split into the fenced block and the template around it ── */
+function split(prompt) {
+    const start = prompt.indexOf(OPEN);
+    const end = start === -1 ? -1 : prompt.indexOf(CLOSE, start + OPEN.length);
+    if (end === -1) return null;
+    return {
+        start: start + OPEN.length,
+        end,
+        block: prompt.slice(start + OPEN.length, end),
+        template: prompt.slice(0, start) + OPEN + CLOSE + prompt.slice(end + CLOSE.length),
+    };
+}
+
+// Every index at which `needle` occurs in `haystack`
+function occurrences(haystack, needle) {
+    const found = [];
+    for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + 1)) found.push(i);
+    return found;
+}
+
+/* ── The meta-prompt a harmless prompt gets for each intent ── */
+const baselines = {};
+async function baselineTemplate(intent) {
+    if (!(intent in baselines)) {
+        await promptAnalyzer.analyze(HARMLESS_TEXT, {}, { bypassCache: true, intent });
+        baselines[intent] = split(lastPrompt).template;
+    }
+    return baselines[intent];
+}
+
+/* ── One case → failure messages ([] when it holds) ── */
+async function runCase(c) {
+    const template = await baselineTemplate(c.intent);
+    const result = await promptAnalyzer.analyze(c.text, {}, { bypassCache: true, intent: c.intent });
+    const prompt = lastPrompt;
+    const failures = [];
+
+    const fenced = split(prompt);
+    if (!fenced) return ['meta-prompt has no <user_prompt> block'];
+    if (fenced.template !== template) failures.push('text outside the <user_prompt> block differs from a harmless prompt\'s');
+
+    for (const text of c.injected || []) {
+        const outside = occurrences(prompt, text).filter((i) => i < fenced.start || i + text.length > fenced.end);
+        if (outside.length) failures.push(`${JSON.stringify(text)} appears outside the <user_prompt> block`);
+        if (!fenced.block.includes(text)) failures.push(`${JSON.stringify(text)} is missing from the <user_prompt> block`);
+    }
+
+    const rawTag = fenced.block.match(FENCE_TAG);
+    if (rawTag) failures.push(`raw fence tag ${JSON.stringify(rawTag[0])} inside the block`);
+    for (const escaped of c.neutralized || []) {
+        if (!fenced.block.includes(escaped)) failures.push(`block lacks the escaped look-alike ${JSON.stringify(escaped)}`);
+    }
+    if (promptFence.unwrap(prompt) !== c.text) failures.push('text inside <user_prompt> differs from the prompt');
+
+    if (!result) {
+        failures.push('analysis returned null');
+    } else if (JSON.stringify(result.gaps) !== JSON.stringify(c.gaps)) {
+        failures.push(`gaps ${JSON.stringify(result.gaps)}, expected ${JSON.stringify(c.gaps)}`);
+    }
+    return failures;
+}
+
+async function main() {
+    const { cases } = require(CORPUS_FILE);
+    let failed = 0;
+
+    for (const c of cases) {
+        const failures = await runCase(c);
+        if (failures.length) {
+            failed += 1;
+            console.log(`❌ ${JSON.stringify(c.text)}\n   ${failures.join('\n   ')} (${c.why})`);
+        }
+    }
+
+    console.log(`${failed ? '❌' : '✅'} ${cases.length - failed}/${cases.length} adversarial corpus cases pass`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
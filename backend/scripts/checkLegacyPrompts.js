@@ -0,0 +1,56 @@
+/**
+ * scripts/checkLegacyPrompts.js — Re-save prompt documents of older shapes
+ *
+ * Loads every document in fixtures/legacy/prompts.json the way MongoDB
+ * hands it to mongoose, applies the update clarify/refine/restore save
+ * (a new version, selections, structured warnings) and checks that the
+ * result validates with the expected intent confidence and level — a
+ * legacy document that fails validation silently loses the new version.
+ * No database needed. Exit code 1 on failure.
+ *
+ * Usage: npm run check:legacy
+ */
+
+const path = require('path');
+const Prompt = require('../models/Prompt');
+
+const CORPUS_FILE = path.join(__dirname, '..', 'fixtures', 'legacy', 'prompts.json');
+
+/* ── One case → failure messages ([] when it holds) ── */
+function runCase(c) {
+    const doc = Prompt.hydrate(JSON.parse(JSON.stringify(c.doc)));
+    Object.assign(doc, {
+        versions: [...doc.versions, { label: 'v1_clarified', text: `${c.doc.versions[0].text} in Python`, provider: 'rule' }],
+        constraints: { language: 'Python' },
+        warnings: [{ code: 'CONSTRAINTS_MISSING', severity: 'medium', dimension: 'completeness', message: 'Missing: level.' }],
+    });
+
+    const failures = [];
+    const error = doc.validateSync();
+    if (error) failures.push(error.message);
+    if (doc.intent.confidence !== c.expected.confidence) {
+        failures.push(`confidence ${JSON.stringify(doc.intent.confidence)}, expected ${c.expected.confidence}`);
+    }
+    if (doc.intent.level !== c.expected.level) {
+        failures.push(`level ${JSON.stringify(doc.intent.level)}, expected "${c.expected.level}"`);
+    }
+    return failures;
+}
+
+function main() {
+    const { cases } = require(CORPUS_FILE);
+    let failed = 0;
+
+    for (const c of cases) {
+        const failures = runCase(c);
+        if (failures.length) {
+            failed += 1;
+            console.log(`❌ ${c.doc.promptId}\n   ${failures.join('\n   ')} (${c.why})`);
+        }
+    }
+
+    console.log(`${failed ? '❌' : '✅'} ${cases.length - failed}/${cases.length} legacy prompt documents re-save`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
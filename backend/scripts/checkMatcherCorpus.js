@@ -0,0 +1,84 @@
+/**
+ * scripts/checkMatcherCorpus.js — Replay the keyword false-positive corpus
+ *
+ * Runs every case in fixtures/matcher/falsePositives.json through the
+ * rule engines (intent, gaps, values, conflicts, placeholders, secrets,
+ * keyword matching) and reports the ones that regressed. Exit code 1 on failure.
+ *
+ * Usage: npm run check:matcher
+ */
+
+const path = require('path');
+const intentDetector = require('../services/intentDetector');
+const constraintDetector = require('../services/constraintDetector');
+const conflictAnalyzer = require('../services/conflictAnalyzer');
+const textMatcher = require('../services/textMatcher');
+const placeholderDetector = require('../services/placeholderDetector');
+const secretScanner = require('../services/secretScanner');
+
+const CORPUS_FILE = path.join(__dirname, '..', 'fixtures', 'matcher', 'falsePositives.json');
+
+/* ── One case → failure message, or null when it holds ── */
+async function runCase(c) {
+    switch (c.check) {
+        case 'intent': {
+            const { detected } = await intentDetector.detect(c.text);
+            if (c.mustBe && detected !== c.mustBe) return `intent is "${detected}", expected "${c.mustBe}"`;
+            if (c.mustNotBe && detected === c.mustNotBe) return `intent is "${detected}"`;
+            return null;
+        }
+        case 'gaps': {
+            const { gaps } = await constraintDetector.detect(c.text, c.intent);
+            const missing = c.mustInclude.filter((g) => !gaps.includes(g));
+            return missing.length ? `gaps ${JSON.stringify(gaps)} lack ${missing.join(', ')}` : null;
+        }
+        case 'value': {
+            const { detected } = await constraintDetector.detect(c.text, c.intent);
+            const value = detected[c.category];
+            return value !== c.expected ? `${c.category} is ${JSON.stringify(value)}, expected ${JSON.stringify(c.expected)}` : null;
+        }
+        case 'conflict': {
+            const { detected } = await intentDetector.detect(c.text);
+            const { mentions } = await constraintDetector.detect(c.text, detected);
+            const conflict = conflictAnalyzer.analyze(mentions).find((x) => x.category === c.category);
+            if (Boolean(conflict) === c.expected) return null;
+            return conflict ? `${c.category} conflict: ${JSON.stringify(conflict.values)}` : `no ${c.category} conflict`;
+        }
+        case 'placeholders': {
+            const found = placeholderDetector.detect(c.text).map((p) => p.text);
+            return JSON.stringify(found) !== JSON.stringify(c.expected)
+                ? `placeholders ${JSON.stringify(found)}, expected ${JSON.stringify(c.expected)}`
+                : null;
+        }
+        case 'secrets': {
+            const found = secretScanner.scan(c.text).map((f) => `${f.type}:${f.text}`);
+            return JSON.stringify(found) !== JSON.stringify(c.expected)
+                ? `findings ${JSON.stringify(found)}, expected ${JSON.stringify(c.expected)}`
+                : null;
+        }
+        case 'match': {
+            const hit = textMatcher.create(c.text).has(c.keyword);
+            return hit !== c.expected ? `"${c.keyword}" matched: ${hit}` : null;
+        }
+        default:
+            return `unknown check "${c.check}"`;
+    }
+}
+
+async function main() {
+    const { cases } = require(CORPUS_FILE);
+    let failures = 0;
+
+    for (const c of cases) {
+        const failure = await runCase(c);
+        if (failure) {
+            failures += 1;
+            console.log(`❌ ${c.text}\n   ${failure} (${c.why})`);
+        }
+    }
+
+    console.log(`${failures ? '❌' : '✅'} ${cases.length - failures}/${cases.length} matcher corpus cases pass`);
+    process.exitCode = failures ? 1 : 0;
+}
+
+main();
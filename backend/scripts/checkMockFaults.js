@@ -0,0 +1,140 @@
+/**
+ * scripts/checkMockFaults.js — Replay AI failures through clarify and refine
+ *
+ * Calls the clarify and refine controllers with the mock provider under
+ * each MOCK_AI_FAULT and checks what the user gets back:
+ *  - no fault     : the mock's answer, without the categories already selected
+ *  - malformed, empty_fields, rate_limit : the rule-based fallback
+ *  - rate_limit with a second provider   : failover to that provider
+ *  - a provider answering with a non-string refined or non-object
+ *    suggestions                          : the rule-based fallback
+ *
+ * No network or database (memory store). Exit code 1 on failure.
+ *
+ * Usage: npm run check:faults
+ */
+
+// Offline and uncached — set before the services load
+process.env.USE_AI = 'true';
+process.env.ANALYSIS_CACHE = 'off';
+process.env.MOCK_AI_MODE = 'replay';
+
+const aiProviders = require('../services/aiProviders');
+const storage = require('../storage');
+const promptController = require('../controllers/promptController');
+
+const TEXT = 'Write a function to sort a list of numbers';
+const SELECTIONS = { level: 'Beginner', language: 'Python' };
+const BACKUP_REFINED = 'Write a beginner-friendly Python function that sorts a list of numbers.';
+
+// A healthy second provider with a recognizable answer
+aiProviders.register('backup', {
+    generate: async () => JSON.stringify({
+        gaps: ['examples'],
+        suggestions: { examples: ['Include examples', 'No examples needed', 'One worked example'] },
+        refined: BACKUP_REFINED,
+    }),
+});
+
+// Parseable answers with the wrong field types
+aiProviders.register('refined_object', {
+    generate: async () => JSON.stringify({
+        gaps: ['examples'],
+        suggestions: { examples: ['Include examples', 'No examples needed', 'One worked example'] },
+        refined: { text: BACKUP_REFINED },
+    }),
+});
+aiProviders.register('suggestions_array', {
+    generate: async () => JSON.stringify({
+        gaps: ['examples'],
+        suggestions: ['Include examples', 'No examples needed', 'One worked example'],
+        refined: BACKUP_REFINED,
+    }),
+});
+
+const RULE_FALLBACK = {
+    clarify: { provider: 'rule', refined: `${TEXT} [level: Beginner, language: Python]`, gapsExclude: ['level', 'language'] },
+    refine: { provider: 'rule', refined: TEXT },
+};
+
+const SCENARIOS = [
+    {
+        fault: null,
+        providers: 'mock',
+        clarify: { provider: 'mock', gapsExclude: ['level', 'language'] },
+        refine: { provider: 'mock' },
+    },
+    ...['malformed', 'empty_fields', 'rate_limit'].map((fault) => ({ fault, providers: 'mock', ...RULE_FALLBACK })),
+    ...['refined_object', 'suggestions_array'].map((providers) => ({ fault: null, providers, ...RULE_FALLBACK })),
+    {
+        fault: 'rate_limit',
+        providers: 'mock,backup',
+        clarify: { provider: 'backup', refined: BACKUP_REFINED },
+        refine: { provider: 'backup', refined: BACKUP_REFINED },
+    },
+];
+
+/* ── Call a controller with a minimal request/response pair ── */
+async function call(handler, body) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+    };
+    await handler({ body, query: {}, headers: {} }, res);
+    return res;
+}
+
+/* ── One response against its expectations → failure messages ── */
+function verify(name, res, expected) {
+    if (res.statusCode !== 200) return [`${name}: HTTP ${res.statusCode} ${JSON.stringify(res.body)}`];
+    const failures = [];
+    const { provider, refined, warnings = [] } = res.body;
+    if (provider !== expected.provider) failures.push(`${name}: provider "${provider}", expected "${expected.provider}"`);
+    if (expected.refined && refined !== expected.refined) {
+        failures.push(`${name}: refined ${JSON.stringify(refined)}, expected ${JSON.stringify(expected.refined)}`);
+    }
+    if (!refined) failures.push(`${name}: empty refined prompt`);
+    // Gaps only come back from clarify
+    const gaps = res.body.gaps || [];
+    const selected = (expected.gapsExclude || []).filter((g) => gaps.includes(g));
+    if (selected.length) failures.push(`${name}: selected ${selected.join(', ')} reported as gaps ${JSON.stringify(gaps)}`);
+    if (!Array.isArray(warnings)) failures.push(`${name}: warnings missing`);
+    return failures;
+}
+
+async function runScenario(s, index) {
+    process.env.AI_PROVIDERS = s.providers;
+    if (s.fault) process.env.MOCK_AI_FAULT = s.fault;
+    else delete process.env.MOCK_AI_FAULT;
+
+    const promptId = `fault-check-${index}`;
+    const clarify = await call(promptController.clarifyPrompt, { promptId, selections: SELECTIONS, originalText: TEXT });
+    const refine = await call(promptController.refinePrompt, { text: TEXT, constraints: SELECTIONS, originalText: TEXT });
+    return [...verify('clarify', clarify, s.clarify), ...verify('refine', refine, s.refine)];
+}
+
+async function main() {
+    storage.use('memory');
+    let failed = 0;
+
+    for (const [i, s] of SCENARIOS.entries()) {
+        const failures = await runScenario(s, i);
+        if (failures.length) {
+            failed += 1;
+            console.log(`❌ MOCK_AI_FAULT=${s.fault || '(none)'} AI_PROVIDERS=${s.providers}\n   ${failures.join('\n   ')}`);
+        }
+    }
+
+    console.log(`${failed ? '❌' : '✅'} ${SCENARIOS.length - failed}/${SCENARIOS.length} AI fault scenarios pass`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,84 @@
+/**
+ * scripts/checkSecretScanners.js — Run both secret scanners on one corpus
+ *
+ * The backend and extension scanners share their patterns
+ * (config/secretRules.json) but each implements the validators, scan,
+ * redact and restore. This runs every case in fixtures/secrets/prompts.json
+ * through both and reports:
+ *  - findings that differ from the case's `expected` ("type:text")
+ *  - any difference between the two scanners' findings or redacted text
+ *  - a redaction that restore() doesn't turn back into the original
+ *
+ * The extension scanner runs in a vm context with the generated
+ * extension/secretRules.js, as the browser loads it. Exit code 1 on failure.
+ *
+ * Usage: npm run check:secret-rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const secretScanner = require('../services/secretScanner');
+
+const CORPUS_FILE = path.join(__dirname, '..', 'fixtures', 'secrets', 'prompts.json');
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'extension');
+
+/* ── The extension scanner, loaded the way the manifest loads it ── */
+function loadExtensionScanner() {
+    const context = vm.createContext({ window: {} });
+    for (const file of ['secretRules.js', 'secretScanner.js']) {
+        vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), context, { filename: file });
+    }
+    return context.window.PISecretScanner;
+}
+
+/* ── Scan, redact everything found, restore ── */
+function run(scanner, text) {
+    const findings = scanner.scan(text).map(({ type, text: value, start, end }) => ({ type, text: value, start, end }));
+    const { text: redacted, replacements } = scanner.redact(text, findings);
+    return { findings, redacted, restored: scanner.restore(redacted, replacements) };
+}
+
+/* ── One case → failure messages ── */
+function runCase(c, extensionScanner) {
+    const backend = run(secretScanner, c.text);
+    const extension = run(extensionScanner, c.text);
+    const failures = [];
+
+    const found = backend.findings.map((f) => `${f.type}:${f.text}`);
+    if (JSON.stringify(found) !== JSON.stringify(c.expected)) {
+        failures.push(`findings ${JSON.stringify(found)}, expected ${JSON.stringify(c.expected)}`);
+    }
+    if (JSON.stringify(extension.findings) !== JSON.stringify(backend.findings)) {
+        failures.push(`extension findings ${JSON.stringify(extension.findings)}, backend ${JSON.stringify(backend.findings)}`);
+    }
+    if (extension.redacted !== backend.redacted) {
+        failures.push(`extension redacts to ${JSON.stringify(extension.redacted)}, backend to ${JSON.stringify(backend.redacted)}`);
+    }
+    if (c.redacted && backend.redacted !== c.redacted) {
+        failures.push(`redacted ${JSON.stringify(backend.redacted)}, expected ${JSON.stringify(c.redacted)}`);
+    }
+    for (const [name, result] of [['backend', backend], ['extension', extension]]) {
+        if (result.restored !== c.text) failures.push(`${name} restore gives ${JSON.stringify(result.restored)}`);
+    }
+    return failures;
+}
+
+function main() {
+    const { cases } = require(CORPUS_FILE);
+    const extensionScanner = loadExtensionScanner();
+    let failed = 0;
+
+    for (const c of cases) {
+        const failures = runCase(c, extensionScanner);
+        if (failures.length) {
+            failed += 1;
+            console.log(`❌ ${c.text}\n   ${failures.join('\n   ')} (${c.why})`);
+        }
+    }
+
+    console.log(`${failed ? '❌' : '✅'} ${cases.length - failed}/${cases.length} secret scanner cases pass in both scanners`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
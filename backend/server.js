@@ -3,7 +3,7 @@
  *
  * Responsibilities:
  *  - Load environment variables
- *  - Connect to MongoDB
+ *  - Connect to MongoDB (or select the in-memory / JSON-file prompt store)
  *  - Mount API routes
  *  - Start HTTP server
  */
@@ -13,6 +13,9 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const promptRoutes = require('./routes/promptRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const profileRoutes = require('./routes/profileRoutes');
+const storage = require('./storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -23,30 +26,43 @@ app.use(express.json({ limit: '1mb' }));
 
 /* ── Routes ────────────────────────────────────────────── */
 app.use('/api', promptRoutes);
+app.use('/api', templateRoutes);
+app.use('/api', profileRoutes);
 
 /* ── Health Check ──────────────────────────────────────── */
 app.get('/health', (_req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-/* ── MongoDB Connection & Server Start ─────────────────── */
+/* ── Storage Selection & Server Start ──────────────────── */
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/prompt_intelligence';
+const PROMPT_STORE = process.env.PROMPT_STORE || 'mongo';
+const PROMPT_FALLBACK_STORE = process.env.PROMPT_FALLBACK_STORE || 'memory';
 
-mongoose
-  .connect(MONGO_URI)
-  .then(() => {
-    console.log('✅ MongoDB connected');
-    app.listen(PORT, () => {
-      console.log(`🚀 Server running on http://localhost:${PORT}`);
-      console.log(`   AI mode: ${process.env.USE_AI === 'true' ? 'ENABLED' : 'DISABLED (rule-based only)'}`);
-    });
-  })
-  .catch((err) => {
-    console.error('❌ MongoDB connection failed:', err.message);
-    console.log('⚠️  Starting server WITHOUT database (in-memory mode)...');
-    app.listen(PORT, () => {
-      console.log(`🚀 Server running on http://localhost:${PORT} (no DB)`);
-    });
+function start(note = '') {
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on http://localhost:${PORT}${note}`);
+    console.log(`   Prompt store: ${storage.activeName()}`);
+    console.log(`   AI mode: ${process.env.USE_AI === 'true' ? 'ENABLED' : 'DISABLED (rule-based only)'}`);
   });
+}
+
+if (PROMPT_STORE !== 'mongo') {
+  storage.use(PROMPT_STORE);
+  start();
+} else {
+  mongoose
+    .connect(MONGO_URI)
+    .then(() => {
+      console.log('✅ MongoDB connected');
+      start();
+    })
+    .catch((err) => {
+      console.error('❌ MongoDB connection failed:', err.message);
+      console.log(`⚠️  Starting server WITHOUT database (${PROMPT_FALLBACK_STORE} store)...`);
+      storage.use(PROMPT_FALLBACK_STORE);
+      start(' (no DB)');
+    });
+}
 
 module.exports = app;
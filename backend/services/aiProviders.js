@@ -0,0 +1,95 @@
+/**
+ * services/aiProviders.js — LLM provider registry with failover
+ *
+ * Every client module exposes the same `generate(prompt)` contract
+ * (text on success, null on any failure, never throws). This registry
+ * tries the configured providers in order and returns the first answer:
+ *
+ *   AI_PROVIDERS=groq,gemini,grok   (default: groq; "mock" for offline use)
+ *   AI_PROVIDER_TIMEOUT_MS=15000    (per-provider timeout)
+ *
+ * A provider that returns null or exceeds the timeout is skipped and
+ * the next one is tried. Client modules are loaded lazily so optional
+ * SDKs (e.g. Gemini) are only required when that provider is enabled.
+ */
+
+const PROVIDER_MODULES = {
+    groq: './groqClient',
+    gemini: './geminiClient',
+    grok: './grokClient',
+    mock: './mockClient',
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const loaded = {};
+
+/**
+ * Register an extra provider at runtime (e.g. a local/mock client).
+ * @param {string} name
+ * @param {{ generate: (prompt: string) => Promise<string|null> }} client
+ */
+function register(name, client) {
+    loaded[name] = client;
+}
+
+function getClient(name) {
+    if (loaded[name]) return loaded[name];
+    const modulePath = PROVIDER_MODULES[name];
+    if (!modulePath) {
+        console.warn(`⚠️  Unknown AI provider "${name}" — skipping`);
+        return null;
+    }
+    try {
+        loaded[name] = require(modulePath);
+        return loaded[name];
+    } catch (err) {
+        console.error(`❌ Could not load AI provider "${name}":`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Ordered list of provider names from AI_PROVIDERS.
+ */
+function configuredProviders() {
+    return (process.env.AI_PROVIDERS || 'groq')
+        .split(',')
+        .map((p) => p.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ timedOut: true }), ms);
+    });
+    return Promise.race([promise.then((text) => ({ text })), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Generate text from the first provider in the chain that answers.
+ * @param {string} prompt — The full prompt to send
+ * @returns {Promise<{ text: string, provider: string } | null>} — null if every provider failed
+ */
+async function generate(prompt) {
+    const timeoutMs = parseInt(process.env.AI_PROVIDER_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+    for (const name of configuredProviders()) {
+        const client = getClient(name);
+        if (!client) continue;
+
+        const result = await withTimeout(client.generate(prompt), timeoutMs);
+        if (result.timedOut) {
+            console.warn(`⚠️  AI provider "${name}" timed out after ${timeoutMs}ms — trying next`);
+            continue;
+        }
+        if (result.text) {
+            return { text: result.text, provider: name };
+        }
+    }
+
+    return null;
+}
+
+module.exports = { generate, register, getClient, configuredProviders };
@@ -0,0 +1,188 @@
+/**
+ * services/analysisCache.js — Cache for promptAnalyzer AI results
+ *
+ * Re-analyzing the same prompt while iterating shouldn't cost another
+ * AI call. Results are keyed by:
+ *  - the prompt text, trimmed and whitespace-collapsed — case is kept, since
+ *    the refined prompt echoes it ("API" vs "api", code identifiers)
+ *  - a canonical serialization of the analysis context — constraints and
+ *    intent — (sorted keys, sorted arrays)
+ *
+ * Configuration:
+ *  ANALYSIS_CACHE=memory|mongo|off     (default: memory)
+ *  ANALYSIS_CACHE_TTL_MS=3600000       (entry lifetime)
+ *  ANALYSIS_CACHE_MAX_ENTRIES=1000     (oldest entries evicted beyond this)
+ *
+ * Cache failures are never fatal — they count as a miss.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const counters = { hits: 0, misses: 0, writes: 0 };
+
+function config() {
+    return {
+        backend: (process.env.ANALYSIS_CACHE || 'memory').toLowerCase(),
+        ttlMs: parseInt(process.env.ANALYSIS_CACHE_TTL_MS, 10) || DEFAULT_TTL_MS,
+        maxEntries: parseInt(process.env.ANALYSIS_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES,
+    };
+}
+
+/* ── Key derivation ────────────────────────────────────── */
+
+function normalizeText(text) {
+    return String(text || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Deterministic JSON: object keys sorted, arrays of primitives sorted,
+ * so { level: ['A','B'] } and { level: ['B','A'] } share a key.
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        const items = value.map(canonicalize);
+        return items.every((v) => typeof v !== 'object' || v === null)
+            ? [...items].sort()
+            : items;
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.keys(value).sort().map((k) => [k, canonicalize(value[k])])
+        );
+    }
+    return value;
+}
+
+function cacheKey(text, context = {}) {
+    const material = normalizeText(text) + '\u0000' + JSON.stringify(canonicalize(context));
+    return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/* ── Backends ──────────────────────────────────────────── */
+
+// Map insertion order doubles as LRU order
+const memoryEntries = new Map();
+
+const memoryBackend = {
+    async get(key) {
+        const entry = memoryEntries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            memoryEntries.delete(key);
+            return null;
+        }
+        memoryEntries.delete(key);
+        memoryEntries.set(key, entry);
+        return entry.result;
+    },
+    async set(key, result, { ttlMs, maxEntries }) {
+        memoryEntries.delete(key);
+        memoryEntries.set(key, { result, expiresAt: Date.now() + ttlMs });
+        while (memoryEntries.size > maxEntries) {
+            memoryEntries.delete(memoryEntries.keys().next().value);
+        }
+    },
+    async size() {
+        return memoryEntries.size;
+    },
+};
+
+let AnalysisCache = null;
+function cacheModel() {
+    // Skip (count as a miss) rather than queue behind a dead connection
+    if (mongoose.connection.readyState !== 1) return null;
+    if (!AnalysisCache) AnalysisCache = require('../models/AnalysisCache');
+    return AnalysisCache;
+}
+
+const mongoBackend = {
+    async get(key) {
+        const Model = cacheModel();
+        if (!Model) return null;
+        const entry = await Model.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        return entry ? entry.result : null;
+    },
+    async set(key, result, { ttlMs, maxEntries }) {
+        const Model = cacheModel();
+        if (!Model) return;
+        await Model.updateOne(
+            { key },
+            { key, result, expiresAt: new Date(Date.now() + ttlMs) },
+            { upsert: true }
+        );
+        const count = await Model.estimatedDocumentCount();
+        if (count > maxEntries) {
+            const oldest = await Model.find().sort({ updatedAt: 1 }).limit(count - maxEntries).select('_id').lean();
+            await Model.deleteMany({ _id: { $in: oldest.map((d) => d._id) } });
+        }
+    },
+    async size() {
+        const Model = cacheModel();
+        return Model ? Model.estimatedDocumentCount() : 0;
+    },
+};
+
+const BACKENDS = { memory: memoryBackend, mongo: mongoBackend };
+
+/* ── Public API ────────────────────────────────────────── */
+
+/**
+ * Look up a cached analysis.
+ * @returns {Promise<object|null>} — Cached result, or null on miss / disabled cache
+ */
+async function get(text, context = {}) {
+    const backend = BACKENDS[config().backend];
+    if (!backend) return null;
+    try {
+        const result = await backend.get(cacheKey(text, context));
+        if (result) counters.hits++;
+        else counters.misses++;
+        return result;
+    } catch (err) {
+        console.error('Analysis cache read error:', err.message);
+        counters.misses++;
+        return null;
+    }
+}
+
+/**
+ * Store a successful analysis.
+ */
+async function set(text, context = {}, result) {
+    const cfg = config();
+    const backend = BACKENDS[cfg.backend];
+    if (!backend || !result) return;
+    try {
+        await backend.set(cacheKey(text, context), result, cfg);
+        counters.writes++;
+    } catch (err) {
+        console.error('Analysis cache write error:', err.message);
+    }
+}
+
+/**
+ * Hit/miss counters plus current configuration.
+ */
+async function stats() {
+    const cfg = config();
+    const backend = BACKENDS[cfg.backend];
+    let size = 0;
+    try {
+        size = backend ? await backend.size() : 0;
+    } catch {
+        size = null;
+    }
+    const lookups = counters.hits + counters.misses;
+    return {
+        ...cfg,
+        ...counters,
+        hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0,
+        size,
+    };
+}
+
+module.exports = { get, set, stats, cacheKey };
@@ -0,0 +1,91 @@
+/**
+ * services/conflictAnalyzer.js — Contradictory constraint detection
+ *
+ * Finds constraints that can't all hold: "beginner" and "expert",
+ * Python and Java as the target language, "code only" and "step by step".
+ * Which values contradict is declared per category in the constraint
+ * catalog ("exclusive" / "conflicts", see constraintCatalog).
+ *
+ * Input values come from two places:
+ *  - mentions   : every value the prompt states (constraintDetector)
+ *  - selections : chips the user picked in clarify/refine
+ * A category's selections replace its prompt mentions — picking a single
+ * winner is how the user resolves a conflict.
+ *
+ * Returns structured conflicts, with label and message in the request's locale:
+ *   [{ category, label, values: ['Beginner', 'experts'], source, message }]
+ */
+
+const constraintCatalog = require('./constraintCatalog');
+const i18n = require('./i18n');
+const textMatcher = require('./textMatcher');
+
+function asList(value) {
+    if (Array.isArray(value)) return value.filter(Boolean).map(String);
+    return value ? [String(value)] : [];
+}
+
+function uniqueValues(values) {
+    return values.filter((v, i) => values.findIndex((w) => w.toLowerCase() === v.toLowerCase()) === i);
+}
+
+function matchesAny(value, terms) {
+    const matcher = textMatcher.create(value);
+    return terms.some((term) => matcher.has(term));
+}
+
+/**
+ * Values of one category that contradict each other, or [] when they agree.
+ */
+function conflictingValues(category, values) {
+    if (values.length < 2) return [];
+    if (category.exclusive) return values;
+
+    const clashing = new Set();
+    for (const rule of category.conflicts) {
+        const left = values.filter((v) => matchesAny(v, rule.between));
+        const right = values.filter((v) => matchesAny(v, rule.and));
+        if (left.length > 0 && right.length > 0) {
+            [...left, ...right].forEach((v) => clashing.add(v));
+        }
+    }
+    return values.filter((v) => clashing.has(v));
+}
+
+/**
+ * @param {object} mentions   — { category: [values stated in the prompt] }
+ * @param {object} selections — { category: value | [values] } picked by the user
+ * @param {string} [locale]   — Locale for label and message (default "en")
+ * @returns {{ category: string, label: string, values: string[], source: string, message: string }[]}
+ */
+function analyze(mentions = {}, selections = {}, locale = i18n.DEFAULT_LOCALE) {
+    const conflicts = [];
+    const names = new Set([...Object.keys(mentions), ...Object.keys(selections || {})]);
+
+    for (const name of names) {
+        const category = constraintCatalog.get(name);
+        if (!category) continue;
+
+        const selected = asList(selections?.[name]);
+        const source = selected.length > 0 ? 'selection' : 'prompt';
+        const values = uniqueValues(selected.length > 0 ? selected : asList(mentions[name]));
+        const clashing = conflictingValues(category, values);
+        if (clashing.length === 0) continue;
+
+        const label = i18n.label(locale, name);
+        conflicts.push({
+            category: name,
+            label,
+            values: clashing,
+            source,
+            message: i18n.t(locale, 'warnings.CONSTRAINT_CONFLICT', {
+                label: label.toLowerCase(),
+                values: clashing.map((v) => `"${v}"`).join(i18n.t(locale, 'fragments.versus')),
+            }),
+        });
+    }
+
+    return conflicts;
+}
+
+module.exports = { analyze };
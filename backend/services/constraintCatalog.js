@@ -0,0 +1,129 @@
+/**
+ * services/constraintCatalog.js — Declarative constraint categories
+ *
+ * Loads the constraint categories the detectors, the AI analyzer prompt
+ * and the chip UI work with from config/constraintCategories.json
+ * (override with CONSTRAINT_RULES_FILE). Each category defines:
+ *
+ *  - label        : human-readable chip group title
+ *  - description  : short hint passed to the AI analyzer
+ *  - keywords     : phrases whose presence satisfies the category
+ *  - patterns     : optional regex sources (case-insensitive) that also satisfy it;
+ *                   a (?<value>…) group marks the part reported as the value
+ *  - suggestions  : default chips offered when the category is missing
+ *  - exclusive    : true when any two different values contradict (e.g. language)
+ *  - conversion   : optional regex source matching the phrasing right before a
+ *                   value that is the target of a conversion ("convert … to");
+ *                   values between the verb and the target are the source and
+ *                   don't count, so "port this Ruby gem to Go" isn't a conflict
+ *  - conflicts    : value sets that contradict each other within the category:
+ *                   [{ "between": ["beginner", …], "and": ["expert", …] }]
+ *  - crossIntent  : true to check the category's conflicts on every prompt,
+ *                   even for intents that don't expect it (e.g. length)
+ *  - enabled      : set false to keep a category defined but unchecked
+ *
+ * The "intents" section decides which categories are expected for each
+ * detected intent (translation asks for source/target language, debugging
+ * for the error message, …), optionally overriding suggestion chips:
+ *
+ *   "translation": { "categories": ["source_language", …], "suggestions": { … } }
+ *
+ * Intents without an entry use "default"; without an "intents" section
+ * every enabled category applies to every prompt.
+ *
+ * Adding a category or intent catalog to the file is enough — no code changes needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RULES_FILE = process.env.CONSTRAINT_RULES_FILE
+    || path.join(__dirname, '..', 'config', 'constraintCategories.json');
+
+function loadRules() {
+    const raw = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+    const categories = {};
+
+    for (const [name, def] of Object.entries(raw.categories || {})) {
+        if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid constraint category name "${name}" in ${RULES_FILE} (use snake_case)`);
+        }
+        categories[name] = {
+            name,
+            label: def.label || name.replace(/_/g, ' '),
+            description: def.description || '',
+            keywords: (def.keywords || []).map((k) => k.toLowerCase()),
+            patterns: (def.patterns || []).map((p) => new RegExp(p, 'i')),
+            suggestions: def.suggestions || [],
+            exclusive: def.exclusive === true,
+            conversion: def.conversion ? new RegExp(def.conversion, 'i') : null,
+            conflicts: (def.conflicts || []).map((c) => ({
+                between: (c.between || []).map((v) => v.toLowerCase()),
+                and: (c.and || []).map((v) => v.toLowerCase()),
+            })),
+            crossIntent: def.crossIntent === true,
+            enabled: def.enabled !== false,
+        };
+    }
+
+    const intents = {};
+    for (const [intent, def] of Object.entries(raw.intents || {})) {
+        for (const name of def.categories || []) {
+            if (!categories[name]) {
+                throw new Error(`Intent "${intent}" in ${RULES_FILE} references unknown constraint category "${name}"`);
+            }
+        }
+        intents[intent] = {
+            categories: def.categories || [],
+            suggestions: def.suggestions || {},
+        };
+    }
+
+    return { categories, intents };
+}
+
+const { categories, intents } = loadRules();
+
+/**
+ * Every enabled category, in file order (regardless of intent).
+ */
+function enabled() {
+    return Object.values(categories).filter((c) => c.enabled);
+}
+
+/**
+ * Enabled categories expected for an intent, with that intent's
+ * suggestion overrides applied.
+ * @param {string} [intent] — e.g. "translation"; unknown/empty → "default"
+ */
+function forIntent(intent) {
+    const catalog = intents[intent] || intents.default;
+    if (!catalog) return enabled();
+
+    return catalog.categories
+        .map((name) => categories[name])
+        .filter((c) => c.enabled)
+        .map((c) => (catalog.suggestions[c.name]
+            ? { ...c, suggestions: catalog.suggestions[c.name] }
+            : c));
+}
+
+/**
+ * Enabled categories whose conflicts are checked whatever the intent.
+ */
+function crossIntent() {
+    return enabled().filter((c) => c.crossIntent);
+}
+
+function get(name) {
+    return categories[name] || null;
+}
+
+/**
+ * { categoryName: label } for an intent's categories — sent to clients for chip titles.
+ */
+function labels(intent) {
+    return Object.fromEntries(forIntent(intent).map((c) => [c.name, c.label]));
+}
+
+module.exports = { enabled, forIntent, crossIntent, get, labels };
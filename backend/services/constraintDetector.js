@@ -1,104 +1,142 @@
 /**
  * services/constraintDetector.js — Hybrid constraint-gap detection
  *
- * Detects missing constraints in a user prompt:
- *  - language, level, output_format, scope, examples
+ * Detects missing constraints in a user prompt. The categories
+ * (language, level, output_format, scope, examples, plus any team-defined
+ * ones) come from the declarative catalog in constraintCatalog, and
+ * which of them are expected depends on the detected intent.
  *
  * For each gap found, returns structured suggestion chips
- * so the user can click to fill in the missing information.
+ * so the user can click to fill in the missing information; for
+ * each category the prompt already sets, returns the extracted value
+ * (e.g. { language: 'Python', level: 'Beginner', output_format: 'table' }).
  */
 
 const gemini = require('./groqClient');
-
-/* ── Keyword lists used for rule-based detection ───────── */
-const LANGUAGES = [
-    'javascript', 'python', 'java', 'c++', 'c#', 'ruby', 'go', 'rust',
-    'typescript', 'php', 'swift', 'kotlin', 'scala', 'r', 'matlab',
-    'sql', 'html', 'css', 'bash', 'shell', 'powershell', 'dart',
-];
-
-const LEVELS = [
-    'beginner', 'intermediate', 'advanced', 'expert', 'novice',
-    'basic', 'simple', 'complex', 'in-depth',
-];
-
-const OUTPUT_FORMATS = [
-    'code only', 'code + explanation', 'step by step', 'bullet points',
-    'table', 'json', 'markdown', 'diagram', 'pseudocode', 'list',
-];
-
-const SCOPE_INDICATORS = [
-    'function', 'class', 'module', 'full app', 'snippet', 'project',
-    'component', 'api', 'endpoint', 'page', 'service', 'script',
-];
-
-const EXAMPLE_INDICATORS = [
-    'example', 'for instance', 'e.g.', 'such as', 'like this',
-    'sample', 'demo', 'illustration',
-];
-
-/* ── Default suggestion chips per constraint ───────────── */
-const DEFAULT_SUGGESTIONS = {
-    language: ['Python', 'JavaScript', 'Java', 'TypeScript', 'C++', 'Go'],
-    level: ['Beginner', 'Intermediate', 'Advanced'],
-    output_format: ['Code only', 'Code + Explanation', 'Step-by-step', 'Bullet points'],
-    scope: ['Function', 'Class', 'Full module', 'Code snippet'],
-    examples: ['Include examples', 'No examples needed'],
-};
+const constraintCatalog = require('./constraintCatalog');
+const promptFence = require('./promptFence');
+const textMatcher = require('./textMatcher');
 
 /**
- * Rule-based constraint gap detection.
+ * Map a matched span onto the category's chip wording when one fits
+ * ("python" → "Python", "the cost" → "Cost"), else keep the text as written,
+ * minus a leading article.
  */
-function escapeRegex(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function canonicalValue(category, written, keyword) {
+    const bare = written.replace(/^(?:the|a|an|our|my|their)\s+/i, '');
+    const candidates = [keyword, written, bare].filter(Boolean).map((v) => v.toLowerCase());
+    const chip = category.suggestions.find((s) => candidates.includes(s.toLowerCase()));
+    return chip || bare;
 }
 
-function detectByRules(text) {
-    const lower = text.toLowerCase();
-    const gaps = [];
-    const suggestions = {};
-
-    // Check language (use word boundary for short keywords to avoid false matches)
-    const hasLanguage = LANGUAGES.some((lang) => {
-        if (lang.length <= 3) {
-            return new RegExp(`\\b${escapeRegex(lang)}\\b`, 'i').test(lower);
-        }
-        return lower.includes(lang);
-    });
-    if (!hasLanguage) {
-        gaps.push('language');
-        suggestions.language = DEFAULT_SUGGESTIONS.language;
+/**
+ * "Convert this Java function to Python" asks for one language, not two:
+ * a hit preceded by the category's `conversion` phrasing ("convert … to")
+ * is the target, and the hits between the verb and the target are the
+ * source being converted from, so they're dropped.
+ */
+function withoutConversionSources(text, hits, conversion) {
+    if (!conversion) return hits;
+    const sources = new Set();
+    for (const target of hits) {
+        const cue = text.slice(0, target.start).match(conversion);
+        if (!cue) continue;
+        hits.filter((h) => h.start >= cue.index && h.start < target.start).forEach((h) => sources.add(h));
     }
+    return hits.filter((h) => !sources.has(h));
+}
 
-    // Check level
-    const hasLevel = LEVELS.some((lvl) => lower.includes(lvl));
-    if (!hasLevel) {
-        gaps.push('level');
-        suggestions.level = DEFAULT_SUGGESTIONS.level;
+/**
+ * Where a category's values sit in the text: one hit per keyword and per
+ * pattern. Keywords match whole words/phrases via textMatcher, so "go" no
+ * longer hits "good"; mentions inside a negation ("don't include examples")
+ * don't count. Patterns may mark the value with a `(?<value>…)` group —
+ * "in terms of (?<value>…)" reports "performance", not the cue.
+ */
+function findHits(matcher, category) {
+    const hits = [];
+    for (const kw of category.keywords) {
+        const span = matcher.locate(kw);
+        if (span) hits.push({ ...span, keyword: kw });
     }
+    for (const re of category.patterns) {
+        const match = matcher.match(re);
+        if (!match) continue;
+        const value = match.groups?.value;
+        const start = value ? match.index + match[0].indexOf(value) : match.index;
+        hits.push({ start, end: start + (value || match[0]).length, pattern: true });
+    }
+    return hits.sort((a, b) => a.start - b.start);
+}
 
-    // Check output format
-    const hasFormat = OUTPUT_FORMATS.some((fmt) => lower.includes(fmt));
-    if (!hasFormat) {
-        gaps.push('output_format');
-        suggestions.output_format = DEFAULT_SUGGESTIONS.output_format;
+/**
+ * A stretch of text satisfies one category at most: "table" in "put the
+ * results in a table" is the output format, not the dataset as well.
+ * Where hits of different categories overlap, a pattern hit (it names its
+ * context) beats a bare keyword, then the category listed first wins.
+ * @param {{ category: object, hits: object[] }[]} found — in catalog order
+ */
+function claimSpans(found) {
+    const ranked = found
+        .flatMap(({ hits }, rank) => hits.map((hit) => ({ hit, rank })))
+        .sort((a, b) => Number(Boolean(b.hit.pattern)) - Number(Boolean(a.hit.pattern)) || a.rank - b.rank);
+
+    const owner = new Map();
+    for (const { hit, rank } of ranked) {
+        const taken = [...owner].some(([other, otherRank]) =>
+            otherRank !== rank && hit.start < other.end && other.start < hit.end);
+        if (!taken) owner.set(hit, rank);
     }
+    return found.map(({ category, hits }) => ({ category, hits: hits.filter((hit) => owner.has(hit)) }));
+}
+
+/**
+ * The values a category's hits give, in text order (empty when it's
+ * missing), conversion sources dropped and duplicates merged.
+ */
+function valuesOf(text, category, hits) {
+    const values = withoutConversionSources(text, hits, category.conversion)
+        .map((hit) => canonicalValue(category, text.slice(hit.start, hit.end), hit.keyword));
+    // "Python … python" is one value
+    return values.filter((v, i) => values.findIndex((w) => w.toLowerCase() === v.toLowerCase()) === i);
+}
 
-    // Check scope
-    const hasScope = SCOPE_INDICATORS.some((s) => lower.includes(s));
-    if (!hasScope) {
-        gaps.push('scope');
-        suggestions.scope = DEFAULT_SUGGESTIONS.scope;
+/**
+ * Rule-based constraint detection: gaps (with suggestion chips) for the
+ * categories the prompt leaves open, values for the ones it already sets.
+ * `detected` holds the first value per category, `mentions` all of them
+ * (for the conflict analyzer) — plus, for `crossIntent` categories the
+ * intent doesn't call for, any that state more than one value.
+ * @returns {{ gaps: string[], suggestions: object, detected: object, mentions: object }}
+ */
+function detectByRules(text, intent) {
+    const matcher = textMatcher.create(text);
+    const gaps = [];
+    const suggestions = {};
+    const detected = {};
+    const mentions = {};
+
+    // Only the categories this intent calls for (translation ≠ code generation)
+    const found = constraintCatalog.forIntent(intent).map((category) => ({ category, hits: findHits(matcher, category) }));
+    for (const { category, hits } of claimSpans(found)) {
+        const values = valuesOf(text, category, hits);
+        if (values.length > 0) {
+            detected[category.name] = values[0];
+            mentions[category.name] = values;
+        } else {
+            gaps.push(category.name);
+            suggestions[category.name] = category.suggestions;
+        }
     }
 
-    // Check examples
-    const hasExamples = EXAMPLE_INDICATORS.some((e) => lower.includes(e));
-    if (!hasExamples) {
-        gaps.push('examples');
-        suggestions.examples = DEFAULT_SUGGESTIONS.examples;
+    // Contradictions count whatever the intent ("explain … in one sentence, detailed")
+    for (const category of constraintCatalog.crossIntent()) {
+        if (category.name in mentions) continue;
+        const values = valuesOf(text, category, findHits(matcher, category));
+        if (values.length > 1) mentions[category.name] = values;
     }
 
-    return { gaps, suggestions };
+    return { gaps, suggestions, detected, mentions };
 }
 
 /**
@@ -108,10 +146,12 @@ function detectByRules(text) {
 async function detectByAI(text) {
     const prompt = `Analyze this user prompt and identify missing constraints.
 
-User prompt: "${text}"
+${promptFence.notice()}
+
+${promptFence.wrap(text)}
 
 Return ONLY a JSON object with:
-- "gaps": array of missing constraints from [language, level, output_format, scope, examples]
+- "gaps": array of missing constraints from [${constraintCatalog.enabled().map((c) => c.name).join(', ')}]
 - "suggestions": object where each gap key maps to an array of 3-6 relevant suggestion strings
 
 Example response:
@@ -137,9 +177,11 @@ Respond with ONLY valid JSON, no markdown, no explanation.`;
 /**
  * Main entry point — pure rule-based detection.
  * Context-aware AI suggestions are handled by promptAnalyzer instead.
+ * @param {string} text
+ * @param {string} [intent] — Detected intent; selects the expected constraint catalog
  */
-async function detect(text) {
-    return detectByRules(text);
+async function detect(text, intent) {
+    return detectByRules(text, intent);
 }
 
 module.exports = { detect };
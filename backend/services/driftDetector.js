@@ -4,63 +4,253 @@
  * Compares the original raw prompt against a refined prompt
  * to detect if the refinement has changed the user's original intent.
  *
- * Uses keyword overlap heuristic as baseline; optionally uses AI
- * for deeper semantic comparison.
+ * Rule-based baseline: stemmed, alias/synonym-folded terms ("sorting" ≈
+ * "sort", "JS" ≈ "JavaScript") weighted by TF-IDF against background
+ * document frequencies (config/driftTerms.json). Reports the similarity,
+ * how much of the original survives, and exactly which key terms were
+ * lost or introduced. Optionally uses AI for deeper semantic comparison.
  */
 
+const fs = require('fs');
+const path = require('path');
 const gemini = require('./groqClient');
+const promptFence = require('./promptFence');
+
+const TERMS_FILE = process.env.DRIFT_TERMS_FILE
+    || path.join(__dirname, '..', 'config', 'driftTerms.json');
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+    'should', 'may', 'might', 'can', 'shall', 'to', 'of', 'in', 'for',
+    'on', 'with', 'at', 'by', 'from', 'as', 'into', 'through', 'during',
+    'before', 'after', 'above', 'below', 'between', 'and', 'but', 'or',
+    'nor', 'not', 'so', 'yet', 'both', 'either', 'neither', 'each',
+    'every', 'all', 'any', 'few', 'more', 'most', 'other', 'some',
+    'such', 'no', 'only', 'own', 'same', 'than', 'too', 'very', 'just',
+    'about', 'it', 'its', 'i', 'me', 'my', 'we', 'our', 'you', 'your',
+    'he', 'she', 'they', 'them', 'this', 'that', 'these', 'those',
+    'what', 'which', 'who', 'whom', 'how', 'when', 'where', 'why',
+    'if', 'then', 'else', 'while', 'up', 'out', 'off', 'e.g', 'i.e', 'etc',
+]);
+
+// Words, plus "c++", "c#", "node.js", "3.5"
+const WORD_RE = /[\p{L}\p{N}]+(?:[.+#]+[\p{L}\p{N}]*)*/gu;
+
+// Share of typical prompts a term appears in when config doesn't list it
+const DEFAULT_DOCUMENT_FREQUENCY = 0.02;
+// Below this share of (weighted) original terms surviving → drift
+const COVERAGE_THRESHOLD = 0.4;
+// Below this share a version chain counts as starting to slip (timeline only)
+const SLIP_THRESHOLD = 0.7;
+
+/**
+ * Light suffix stripping: "sorting"/"sorted"/"sorts" → "sort",
+ * "queries" → "query", "classes" → "class", "coding"/"code" → "cod".
+ */
+function stem(word) {
+    if (word.length <= 3 || !/^\p{L}+$/u.test(word)) return word;
+
+    let base = word;
+    if (base.endsWith('ies') && base.length > 4) {
+        return base.slice(0, -3) + 'y';
+    }
+    const verbSuffix = ['ingly', 'edly', 'ing', 'ed'].find((sfx) => base.endsWith(sfx) && base.length - sfx.length >= 3);
+    if (verbSuffix) {
+        base = base.slice(0, -verbSuffix.length);
+        // "running" → "runn" → "run"
+        if (/([^aeiouslz])\1$/.test(base)) base = base.slice(0, -1);
+    } else if (/(ch|sh|x|z|ss)es$/.test(base)) {
+        base = base.slice(0, -2);
+    } else if (base.endsWith('s') && !/(ss|us|is)$/.test(base)) {
+        base = base.slice(0, -1);
+    }
+    // "code"/"coding"/"coded" all end up as "cod"
+    if (base.endsWith('e') && base.length > 3) base = base.slice(0, -1);
+    return base;
+}
+
+/**
+ * Load aliases ("js" → "javascript"), synonym groups and the background
+ * document frequencies used for IDF from config/driftTerms.json
+ * (override with DRIFT_TERMS_FILE). Lookups accept raw words and stems.
+ */
+function loadTerms() {
+    const raw = JSON.parse(fs.readFileSync(TERMS_FILE, 'utf8'));
+    const canonical = new Map();
+    const link = (word, target) => {
+        const lower = word.toLowerCase();
+        canonical.set(lower, target);
+        canonical.set(stem(lower), target);
+    };
+
+    for (const [name, aliases] of Object.entries(raw.aliases || {})) {
+        const target = name.toLowerCase();
+        [name, ...aliases].forEach((w) => link(w, target));
+    }
+    for (const group of raw.synonyms || []) {
+        const target = stem(group[0].toLowerCase());
+        group.forEach((w) => link(w, target));
+    }
+
+    const documentFrequency = new Map();
+    for (const [word, df] of Object.entries(raw.documentFrequency || {})) {
+        documentFrequency.set(canonical.get(word) || stem(word), df);
+    }
+    return { canonical, documentFrequency };
+}
+
+const terms = loadTerms();
+
+function canonicalTerm(word) {
+    return terms.canonical.get(word) || terms.canonical.get(stem(word)) || stem(word);
+}
+
+function idf(term) {
+    return Math.log(1 / (terms.documentFrequency.get(term) || DEFAULT_DOCUMENT_FREQUENCY));
+}
 
 /**
- * Extract meaningful keywords from text (lowercase, no stop words).
+ * Meaningful terms of a text: Map canonical term → { count, surface },
+ * where `surface` is the first form the text used (shown to the user).
  */
-function extractKeywords(text) {
-    const STOP_WORDS = new Set([
-        'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-        'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-        'should', 'may', 'might', 'can', 'shall', 'to', 'of', 'in', 'for',
-        'on', 'with', 'at', 'by', 'from', 'as', 'into', 'through', 'during',
-        'before', 'after', 'above', 'below', 'between', 'and', 'but', 'or',
-        'nor', 'not', 'so', 'yet', 'both', 'either', 'neither', 'each',
-        'every', 'all', 'any', 'few', 'more', 'most', 'other', 'some',
-        'such', 'no', 'only', 'own', 'same', 'than', 'too', 'very', 'just',
-        'about', 'it', 'its', 'i', 'me', 'my', 'we', 'our', 'you', 'your',
-        'he', 'she', 'they', 'them', 'this', 'that', 'these', 'those',
-        'what', 'which', 'who', 'whom', 'how', 'when', 'where', 'why',
-        'if', 'then', 'else', 'while', 'up', 'out', 'off',
-    ]);
-
-    return text
-        .toLowerCase()
-        .replace(/[^a-z0-9\s]/g, '')
-        .split(/\s+/)
-        .filter((w) => w.length > 2 && !STOP_WORDS.has(w));
+function extractTerms(text) {
+    const found = new Map();
+    for (const [word] of String(text || '').toLowerCase().matchAll(WORD_RE)) {
+        const clean = word.replace(/\.+$/, '');
+        if (STOP_WORDS.has(clean)) continue;
+        // Short words only count when they're a known alias ("js", "c#", "go")
+        if (clean.length <= 2 && !terms.canonical.has(clean)) continue;
+
+        const term = canonicalTerm(clean);
+        const entry = found.get(term) || { count: 0, surface: clean };
+        entry.count += 1;
+        found.set(term, entry);
+    }
+    return found;
+}
+
+/** TF-IDF weight of every term in an extractTerms() map. */
+function weigh(termMap) {
+    const weights = new Map();
+    for (const [term, { count }] of termMap) {
+        weights.set(term, count * idf(term));
+    }
+    return weights;
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    for (const [term, w] of a) dot += w * (b.get(term) || 0);
+    const norm = (v) => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+    const denom = norm(a) * norm(b);
+    return denom ? dot / denom : 0;
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
 }
 
 /**
- * Rule-based drift detection using keyword overlap.
- * If less than 40% of original keywords survive in refined text → drift.
+ * Rule-based drift detection.
+ * Terms are compared after stemming and alias/synonym folding, weighted by
+ * TF-IDF. If less than 40% of the original's weight survives in the
+ * refined text → drift.
+ * @returns {{ driftDetected: boolean, driftWarning: string, similarity: number,
+ *             coverage: number, lostTerms: string[], introducedTerms: string[] }}
  */
 function detectByRules(originalText, refinedText) {
-    const origKeywords = extractKeywords(originalText);
-    const refinedKeywords = new Set(extractKeywords(refinedText));
+    const origTerms = extractTerms(originalText);
+    const refinedTerms = extractTerms(refinedText);
+    const origWeights = weigh(origTerms);
+    const refinedWeights = weigh(refinedTerms);
+
+    const byWeight = (weights) => (a, b) => weights.get(b) - weights.get(a);
+    const lost = [...origTerms.keys()].filter((t) => !refinedTerms.has(t)).sort(byWeight(origWeights));
+    const introduced = [...refinedTerms.keys()].filter((t) => !origTerms.has(t)).sort(byWeight(refinedWeights));
+
+    const result = {
+        driftDetected: false,
+        driftWarning: '',
+        similarity: round2(cosine(origWeights, refinedWeights)),
+        coverage: 1,
+        lostTerms: lost.map((t) => origTerms.get(t).surface),
+        introducedTerms: introduced.map((t) => refinedTerms.get(t).surface),
+    };
+
+    if (origTerms.size === 0) return result;
+
+    const total = [...origWeights.values()].reduce((sum, w) => sum + w, 0);
+    const kept = [...origWeights].reduce((sum, [t, w]) => sum + (refinedTerms.has(t) ? w : 0), 0);
+    result.coverage = round2(total ? kept / total : 1);
 
-    if (origKeywords.length === 0) {
-        return { driftDetected: false, driftWarning: '' };
+    if (result.coverage < COVERAGE_THRESHOLD) {
+        const shown = result.lostTerms.slice(0, 5).map((t) => `"${t}"`).join(', ');
+        result.driftDetected = true;
+        result.driftWarning =
+            `Intent drift detected: only ${Math.round(result.coverage * 100)}% of the original key terms ` +
+            `are preserved in the refined prompt (lost: ${shown}). The refinement may have altered your original intent.`;
     }
 
-    const overlap = origKeywords.filter((kw) => refinedKeywords.has(kw)).length;
-    const overlapRatio = overlap / origKeywords.length;
+    return result;
+}
+
+/* ── Version chain ─────────────────────────────────────── */
+
+function summarize(result) {
+    return {
+        similarity: result.similarity,
+        coverage: result.coverage,
+        driftDetected: result.driftDetected,
+        lostTerms: result.lostTerms,
+        introducedTerms: result.introducedTerms,
+    };
+}
 
-    if (overlapRatio < 0.4) {
+/**
+ * Attach `drift: { fromPrevious, fromOriginal }` to every version after v0
+ * that doesn't have it yet, so slow drift across several clarify/refine
+ * rounds can be traced to the step that caused it.
+ * @param {object[]} versions — Prompt versions (plain objects or Mongoose subdocuments)
+ * @returns {object[]} — Plain version objects
+ */
+function annotate(versions = []) {
+    const plain = versions.map((v) => (typeof v.toObject === 'function' ? v.toObject() : v));
+    return plain.map((version, i) => {
+        if (i === 0 || version.drift?.fromOriginal) return version;
         return {
-            driftDetected: true,
-            driftWarning:
-                `Intent drift detected: only ${Math.round(overlapRatio * 100)}% of original keywords ` +
-                `are preserved in the refined prompt. The refinement may have altered your original intent.`,
+            ...version,
+            drift: {
+                fromPrevious: summarize(detectByRules(plain[i - 1].text, version.text)),
+                fromOriginal: summarize(detectByRules(plain[0].text, version.text)),
+            },
         };
-    }
+    });
+}
 
-    return { driftDetected: false, driftWarning: '' };
+/**
+ * Drift timeline over a version chain.
+ *  - driftDetectedAt : first version that drifted (from its predecessor or from v0)
+ *  - driftStartedAt  : first version where the original started to slip —
+ *                      coverage vs v0 under SLIP_THRESHOLD, or drift itself
+ * @returns {{ steps: object[], driftStartedAt: string|null, driftDetectedAt: string|null }}
+ */
+function timeline(versions = []) {
+    const steps = annotate(versions).map((v) => ({
+        label: v.label,
+        provider: v.provider || '',
+        createdAt: v.createdAt || null,
+        fromPrevious: v.drift?.fromPrevious || null,
+        fromOriginal: v.drift?.fromOriginal || null,
+    }));
+    const drifted = (s) => s.fromPrevious?.driftDetected || s.fromOriginal?.driftDetected;
+    const detected = steps.find(drifted);
+    const started = steps.find((s) => drifted(s) || (s.fromOriginal && s.fromOriginal.coverage < SLIP_THRESHOLD));
+    return {
+        steps,
+        driftStartedAt: started ? started.label : null,
+        driftDetectedAt: detected ? detected.label : null,
+    };
 }
 
 /**
@@ -69,8 +259,11 @@ function detectByRules(originalText, refinedText) {
 async function detectByAI(originalText, refinedText) {
     const prompt = `Compare these two prompts and determine if the refined version preserves the original intent.
 
-Original: "${originalText}"
-Refined: "${refinedText}"
+${promptFence.notice('original_prompt', 'refined_prompt')}
+
+${promptFence.wrap(originalText, 'original_prompt')}
+
+${promptFence.wrap(refinedText, 'refined_prompt')}
 
 Return ONLY a JSON object with:
 - "driftDetected": boolean (true if intent changed)
@@ -94,11 +287,11 @@ Respond with ONLY valid JSON, no markdown.`;
 }
 
 /**
- * Main entry point — pure rule-based keyword overlap detection.
+ * Main entry point — pure rule-based term comparison.
  * AI is no longer used for drift detection.
  */
 async function detect(originalText, refinedText) {
     return detectByRules(originalText, refinedText);
 }
 
-module.exports = { detect };
+module.exports = { detect, annotate, timeline };
@@ -0,0 +1,135 @@
+/**
+ * services/i18n.js — Localized user-facing messages
+ *
+ * Loads one message catalog per locale from config/messages/<locale>.json
+ * (override the directory with MESSAGES_DIR). A catalog holds:
+ *
+ *  - warnings  : one template per warning code ("{gaps}"-style placeholders)
+ *  - fragments : small pieces warnings are assembled from (" and 3 more")
+ *  - actions   : fix-action button labels
+ *  - labels    : constraint category labels (chip group titles)
+ *  - intents   : display names of detected intents
+ *  - sensitive : names of the secret / PII kinds secretScanner reports
+ *  - injection : names of the injection / jailbreak kinds injectionAnalyzer reports
+ *
+ * The request's locale comes from a `locale` body/query field, else from
+ * the Accept-Language header, else English. Missing keys fall back to
+ * English; missing category labels fall back to the constraint catalog.
+ *
+ * Adding a locale is a matter of dropping another JSON file in the directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const constraintCatalog = require('./constraintCatalog');
+
+const MESSAGES_DIR = process.env.MESSAGES_DIR
+    || path.join(__dirname, '..', 'config', 'messages');
+
+const DEFAULT_LOCALE = 'en';
+
+function loadCatalogs() {
+    const catalogs = {};
+    for (const file of fs.readdirSync(MESSAGES_DIR)) {
+        if (!file.endsWith('.json')) continue;
+        const locale = path.basename(file, '.json').toLowerCase();
+        catalogs[locale] = JSON.parse(fs.readFileSync(path.join(MESSAGES_DIR, file), 'utf8'));
+    }
+    if (!catalogs[DEFAULT_LOCALE]) {
+        throw new Error(`Missing ${DEFAULT_LOCALE}.json message catalog in ${MESSAGES_DIR}`);
+    }
+    return catalogs;
+}
+
+const catalogs = loadCatalogs();
+
+/**
+ * Supported locale for a language tag ("es-MX" → "es"), or null.
+ */
+function match(tag) {
+    if (typeof tag !== 'string' || !tag.trim()) return null;
+    const lower = tag.trim().toLowerCase().replace(/_/g, '-');
+    if (catalogs[lower]) return lower;
+    const base = lower.split('-')[0];
+    return catalogs[base] ? base : null;
+}
+
+/* ── "es-MX,es;q=0.9,en;q=0.8" → ['es-MX', 'es', 'en'] by preference ── */
+function parseAcceptLanguage(header) {
+    return String(header || '')
+        .split(',')
+        .map((part) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+            return { tag: tag.trim(), q: q ? parseFloat(q.slice(2)) : 1 };
+        })
+        .filter((entry) => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q)
+        .map((entry) => entry.tag);
+}
+
+/**
+ * Locale for an Express request: `locale` field → Accept-Language → English.
+ */
+function resolveLocale(req) {
+    const explicit = match(req.body?.locale) || match(req.query?.locale);
+    if (explicit) return explicit;
+
+    for (const tag of parseAcceptLanguage(req.headers?.['accept-language'])) {
+        const locale = match(tag);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce(
+        (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+        catalog
+    );
+}
+
+/**
+ * Message `key` ("warnings.CLARITY_LOW") in `locale` with {placeholders} filled.
+ * Returns the key itself when no catalog defines it.
+ */
+function t(locale, key, params = {}) {
+    const template = lookup(catalogs[locale], key) ?? lookup(catalogs[DEFAULT_LOCALE], key);
+    if (typeof template !== 'string') return key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Localized label of one constraint category.
+ */
+function label(locale, category) {
+    return lookup(catalogs[locale], `labels.${category}`)
+        || constraintCatalog.get(category)?.label
+        || category.replace(/_/g, ' ');
+}
+
+/**
+ * Localized { category: label } for the categories expected for `intent`
+ * (what constraintCatalog.labels returns, translated).
+ */
+function labels(locale, intent) {
+    return Object.fromEntries(
+        Object.keys(constraintCatalog.labels(intent)).map((name) => [name, label(locale, name)])
+    );
+}
+
+/**
+ * Localized display name of a detected intent ("code_generation" → "code generation").
+ */
+function intentName(locale, intent) {
+    return lookup(catalogs[locale], `intents.${intent}`)
+        || lookup(catalogs[DEFAULT_LOCALE], `intents.${intent}`)
+        || String(intent).replace(/_/g, ' ');
+}
+
+function supported() {
+    return Object.keys(catalogs);
+}
+
+module.exports = { DEFAULT_LOCALE, resolveLocale, t, label, labels, intentName, supported };
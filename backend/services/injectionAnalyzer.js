@@ -0,0 +1,186 @@
+/**
+ * services/injectionAnalyzer.js — Prompt-injection & jailbreak detection
+ *
+ * Text pasted from web pages, emails or documents can carry instructions
+ * aimed at the model rather than the user. This flags:
+ *  - instruction_override : "ignore all previous instructions", "new instructions:"
+ *  - jailbreak            : DAN / "developer mode", "no ethical guidelines"
+ *  - role_override        : "you are no longer…", fake system/assistant turns,
+ *                           chat-template tokens (<|im_start|>system, [INST])
+ *  - prompt_leak          : "reveal your system prompt", "repeat the text above"
+ *  - hidden_unicode       : zero-width characters, bidi overrides, Unicode tags
+ *  - embedded_instruction : text inside a quoted or pasted block (code fence,
+ *                           blockquote, <document>…</document>, long quotes)
+ *                           that addresses the model directly
+ *
+ * Anything found inside such a block is marked `embedded` and raised to high
+ * severity — data the user pasted has no business giving orders.
+ *
+ * Returns { level, findings } where level is "none" | "low" | "medium" | "high"
+ * and each finding carries its character offsets and a localized label.
+ */
+
+const i18n = require('./i18n');
+
+const PATTERNS = [
+    // ── Instruction override ──
+    {
+        type: 'instruction_override',
+        severity: 'high',
+        regex: /\b(?:ignore|disregard|forget|override|bypass)\s+(?:(?:all|any|the|your|my|of|everything)\s+)*(?:previous|prior|above|earlier|preceding|original|system|developer)\s+(?:instructions?|prompts?|rules|directions|guidelines|messages?|context)\b/gi,
+    },
+    { type: 'instruction_override', severity: 'high', regex: /\bforget\s+(?:everything|all)\s+(?:above|before|you\s+(?:were|have\s+been)\s+told)\b/gi },
+    { type: 'instruction_override', severity: 'medium', regex: /\b(?:new|updated|real)\s+instructions?\s*:/gi },
+
+    // ── Jailbreak phrasing ──
+    { type: 'jailbreak', severity: 'high', regex: /\b(?:you\s+are|act\s+as|pretend\s+to\s+be)\s+DAN\b|\bDAN\s+mode\b|\bdo\s+anything\s+now\b/gi },
+    {
+        type: 'jailbreak',
+        severity: 'high',
+        regex: /\b(?:you\s+are|you're|now)\s+(?:in|running\s+in)\s+(?:developer|god|jailbreak|unrestricted|unfiltered)\s+mode\b/gi,
+    },
+    // Plain "developer mode" is a browser setting, so it needs the qualifier above
+    { type: 'jailbreak', severity: 'medium', regex: /\b(?:god|jailbreak|unrestricted|unfiltered)\s+mode\b/gi },
+    // Could be a question about jailbreaks rather than one
+    { type: 'jailbreak', severity: 'low', regex: /\bjailbr(?:eak|oken)\b/gi },
+    {
+        type: 'jailbreak',
+        severity: 'medium',
+        regex: /\b(?:without|no|ignore\s+(?:your|all))\s+(?:any\s+)?(?:ethical|moral|safety|content)\s+(?:guidelines|restrictions|filters|policies|rules)\b/gi,
+    },
+    { type: 'jailbreak', severity: 'medium', regex: /\bpretend\s+(?:that\s+)?you\s+(?:have\s+no|are\s+not\s+bound|are\s+an?\s+(?:unrestricted|uncensored|evil))\b/gi },
+
+    // ── Role override ──
+    { type: 'role_override', severity: 'medium', regex: /\bfrom\s+now\s+on,?\s+you\s+(?:are|will|must)\b|\byou\s+are\s+no\s+longer\b/gi },
+    {
+        type: 'role_override',
+        severity: 'medium',
+        regex: /\b(?:you\s+are\s+now|act\s+as)\s+(?:an?\s+)?(?:unrestricted|uncensored|unfiltered|evil|jailbroken)\b/gi,
+    },
+    // A fake conversation turn at the start of a line ("System: Ubuntu 22.04" is fine)
+    {
+        type: 'role_override',
+        severity: 'high',
+        regex: /^[ \t]*(?:#{1,3}[ \t]*)?(?:system|assistant)[ \t]*:[ \t]*(?:you|ignore|disregard|from\s+now|new\s+(?:rules?|instructions?)|the\s+user|i\s+(?:am|will|must))\b/gim,
+    },
+    { type: 'role_override', severity: 'high', regex: /<\|im_start\|>\s*system|<\|(?:system|im_end|endoftext)\|>|\[\/?(?:SYSTEM|INST)\]|<<\/?SYS>>|<\/?system>/gi },
+
+    // ── System prompt extraction ──
+    {
+        type: 'prompt_leak',
+        severity: 'medium',
+        regex: /\b(?:reveal|show|print|repeat|output|tell\s+me)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|initial\s+instructions|hidden\s+instructions|original\s+prompt|instructions\s+above)\b/gi,
+    },
+    { type: 'prompt_leak', severity: 'medium', regex: /\brepeat\s+(?:the\s+)?(?:text|words|everything)\s+above\b/gi },
+
+    // ── Hidden Unicode ──
+    { type: 'hidden_unicode', severity: 'medium', regex: /[\u200B\u2060-\u2064\uFEFF]+/g },
+    // Joiners and direction marks are normal one at a time (emoji, Indic scripts, RTL text)
+    { type: 'hidden_unicode', severity: 'low', regex: /[\u200C-\u200F]{2,}/g },
+    { type: 'hidden_unicode', severity: 'high', regex: /[\u202A-\u202E\u2066-\u2069]+/g }, // bidi overrides
+    { type: 'hidden_unicode', severity: 'high', regex: /[\u{E0000}-\u{E007F}]+/gu }, // tag characters (invisible ASCII)
+];
+
+// Only suspicious inside pasted data — outside it the user is talking to the model
+const EMBEDDED_PATTERNS = [
+    /\b(?:AI|assistant|model|chatbot|LLM|GPT|language\s+model)s?\s*[,:]\s*(?:please\s+)?(?:you\s+must|ignore|do\s+not|don't|always|never|instead|respond|reply|say|output|print|send|include)\b/gi,
+    /\b(?:when|if)\s+(?:an?\s+|the\s+)?(?:AI|assistant|model|LLM|you)\s+(?:reads?|process(?:es)?|summari[sz]es?|sees?)\s+this\b/gi,
+    /\b(?:important|attention|note)\s*(?:to|for)?\s*[:!]?\s*(?:the\s+)?(?:AI|assistant|model|LLM)s?\s*[:!]/gi,
+];
+
+// Quoted or pasted data: code fences, triple quotes, blockquotes, <tag>…</tag>, long quotes
+const BLOCKS = [
+    /```[\s\S]*?```/g,
+    /"""[\s\S]*?"""/g,
+    /(?:^[ \t]*>.*(?:\n|$))+/gm,
+    /<([a-z][\w-]*)(?:\s[^<>]*)?>[\s\S]*?<\/\1>/gi,
+    /"[^"\n]{40,}"|\u201C[^\u201D\n]{40,}\u201D/g,
+];
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+function findBlocks(text) {
+    const blocks = [];
+    for (const regex of BLOCKS) {
+        for (const match of text.matchAll(regex)) {
+            blocks.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return blocks;
+}
+
+function insideBlock(blocks, start, end) {
+    return blocks.some((b) => start >= b.start && end <= b.end);
+}
+
+// "U+200B U+200B" for invisible characters, so the panel can show something
+function codepoints(value) {
+    return [...value].map((ch) => `U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+}
+
+/**
+ * Overall risk from the findings: the worst severity, with three or more
+ * medium findings counting as high.
+ */
+function riskLevel(findings) {
+    if (findings.length === 0) return 'none';
+    const worst = Math.max(...findings.map((f) => SEVERITY_RANK[f.severity]));
+    const medium = findings.filter((f) => f.severity === 'medium').length;
+    if (worst === SEVERITY_RANK.high || medium >= 3) return 'high';
+    return worst === SEVERITY_RANK.medium ? 'medium' : 'low';
+}
+
+/**
+ * Analyze text for injection and jailbreak attempts.
+ * @param {string} text
+ * @param {string} [locale] — Locale for finding labels (default "en")
+ * @returns {{ level: string, findings: { type: string, severity: string, embedded: boolean,
+ *             label: string, text: string, start: number, end: number, codepoints?: string[] }[] }}
+ */
+function analyze(text, locale = i18n.DEFAULT_LOCALE) {
+    const input = String(text || '');
+    const blocks = findBlocks(input);
+    const found = [];
+
+    const add = (type, severity, match) => {
+        const start = match.index;
+        const end = start + match[0].length;
+        // A byte-order mark opening the text is an encoding artifact, not an attack
+        if (type === 'hidden_unicode' && start === 0 && match[0] === '\uFEFF') return;
+        const embedded = insideBlock(blocks, start, end);
+        const finding = {
+            type,
+            severity: embedded ? 'high' : severity,
+            embedded,
+            label: i18n.t(locale, `injection.${type}`),
+            text: match[0],
+            start,
+            end,
+        };
+        if (type === 'hidden_unicode') finding.codepoints = codepoints(match[0]);
+        found.push(finding);
+    };
+
+    for (const { type, severity, regex } of PATTERNS) {
+        for (const match of input.matchAll(regex)) add(type, severity, match);
+    }
+    for (const regex of EMBEDDED_PATTERNS) {
+        for (const match of input.matchAll(regex)) {
+            if (insideBlock(blocks, match.index, match.index + match[0].length)) {
+                add('embedded_instruction', 'high', match);
+            }
+        }
+    }
+
+    // Earliest, then longest match wins where patterns overlap
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    const findings = [];
+    for (const f of found) {
+        const last = findings[findings.length - 1];
+        if (!last || f.start >= last.end) findings.push(f);
+    }
+
+    return { level: riskLevel(findings), findings };
+}
+
+module.exports = { analyze };
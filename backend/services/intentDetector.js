@@ -2,68 +2,131 @@
  * services/intentDetector.js — Hybrid intent detection
  *
  * Strategy:
- *  1. Run rule-based keyword matching (always available)
+ *  1. Run rule-based weighted keyword scoring (always available) — every
+ *     intent is scored, the best two are reported as primary/secondary
  *  2. If USE_AI=true, ask Gemini for semantic intent
  *  3. If AI succeeds, return AI result with source="ai"
  *  4. If AI fails, return rule-based result with source="rule"
  */
 
 const gemini = require('./groqClient');
+const promptFence = require('./promptFence');
+const textMatcher = require('./textMatcher');
 
 /* ── Intent Categories ─────────────────────────────────── */
+// Keyword → weight. Generic verbs ("write", "build") weigh 1, cues that
+// usually decide the task weigh 2, unambiguous task verbs weigh 3.
 const INTENT_RULES = [
     {
         intent: 'code_generation',
-        keywords: ['write', 'code', 'implement', 'function', 'program', 'script', 'algorithm', 'build', 'create a', 'develop'],
+        keywords: { write: 1, code: 2, implement: 3, function: 2, program: 2, script: 2, algorithm: 2, build: 1, 'create a': 1, develop: 1 },
     },
     {
         intent: 'explanation',
-        keywords: ['explain', 'what is', 'how does', 'describe', 'tell me about', 'define', 'meaning of', 'why does'],
+        keywords: { explain: 3, 'what is': 2, 'how does': 2, describe: 2, 'tell me about': 2, define: 3, 'meaning of': 3, 'why does': 2 },
     },
     {
         intent: 'debugging',
-        keywords: ['fix', 'debug', 'error', 'bug', 'issue', 'not working', 'wrong', 'broken', 'failing'],
+        keywords: { fix: 2, debug: 3, error: 2, bug: 2, issue: 1, 'not working': 2, wrong: 1, broken: 2, failing: 2 },
     },
     {
         intent: 'creative_writing',
-        keywords: ['write a story', 'poem', 'essay', 'blog', 'article', 'creative', 'narrative', 'fiction'],
+        keywords: { 'write a story': 3, poem: 3, essay: 2, blog: 2, article: 1, creative: 2, narrative: 2, fiction: 2 },
     },
     {
         intent: 'data_analysis',
-        keywords: ['analyze', 'data', 'chart', 'graph', 'statistics', 'dataset', 'csv', 'visualize', 'plot'],
+        keywords: { analyze: 2, data: 1, chart: 2, graph: 1, statistics: 2, dataset: 2, csv: 2, visualize: 2, plot: 1 },
     },
     {
         intent: 'summarization',
-        keywords: ['summarize', 'summary', 'tldr', 'shorten', 'condense', 'brief', 'key points'],
+        keywords: { summarize: 3, summary: 3, tldr: 3, shorten: 2, condense: 2, brief: 1, 'key points': 2 },
     },
     {
         intent: 'translation',
-        keywords: ['translate', 'convert to', 'in spanish', 'in french', 'in hindi', 'localize'],
+        keywords: { translate: 3, 'convert to': 1, 'in spanish': 2, 'in french': 2, 'in hindi': 2, localize: 2 },
     },
     {
         intent: 'comparison',
-        keywords: ['compare', 'difference between', 'vs', 'versus', 'pros and cons', 'better'],
+        keywords: { compare: 3, 'difference between': 3, vs: 2, versus: 2, 'pros and cons': 3, better: 1 },
     },
     {
         intent: 'instruction',
-        keywords: ['how to', 'steps to', 'guide', 'tutorial', 'instructions', 'walk me through', 'show me how'],
+        keywords: { 'how to': 2, 'steps to': 2, guide: 2, tutorial: 2, instructions: 2, 'walk me through': 3, 'show me how': 3 },
     },
 ];
 
+// A keyword at the very start of the prompt counts up to 1.5×, fading to 1×
+// over the first POSITION_WINDOW characters — the leading verb usually names
+// the task ("explain how to fix…" is an explanation, even with "fix" and
+// "error" later on). Measured in characters, not as a share of the prompt,
+// so later keywords in a short prompt don't share the bonus.
+const POSITION_BONUS = 0.5;
+const POSITION_WINDOW = 20;
+// Top score at which a clear winner is fully trusted
+const STRONG_SCORE = 4;
+// A runner-up within this fraction of the winner is reported as secondary
+const SECONDARY_RATIO = 0.5;
+const MAX_RANKED = 3;
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function confidenceLevel(confidence) {
+    if (confidence >= 0.7) return 'high';
+    if (confidence >= 0.4) return 'medium';
+    return 'low';
+}
+
 /**
- * Rule-based intent detection.
- * Returns the first matching intent or "general".
+ * Weighted score of every intent: each matched keyword adds its weight,
+ * boosted the earlier it appears. Returns intents with a score, best first.
  */
-function detectByRules(text) {
-    const lower = text.toLowerCase();
+function rankIntents(text) {
+    const matcher = textMatcher.create(text);
+    const ranked = [];
+
     for (const rule of INTENT_RULES) {
-        for (const kw of rule.keywords) {
-            if (lower.includes(kw)) {
-                return { detected: rule.intent, confidence: 'medium', source: 'rule' };
-            }
+        let score = 0;
+        for (const [kw, weight] of Object.entries(rule.keywords)) {
+            // Whole-word, non-negated hits only ("vs" ≠ "canvas", "don't write code")
+            const index = matcher.indexOf(kw);
+            if (index === -1) continue;
+            score += weight * (1 + POSITION_BONUS * Math.max(0, 1 - index / POSITION_WINDOW));
         }
+        if (score > 0) ranked.push({ intent: rule.intent, score: round2(score) });
     }
-    return { detected: 'general', confidence: 'low', source: 'rule' };
+
+    // Stable sort keeps rule order as the tie-breaker
+    return ranked.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Rule-based intent detection.
+ * Confidence (0–1) grows with the winner's score and its margin over the
+ * runner-up; "general" with confidence 0 when nothing matches.
+ * @returns {{ detected: string, secondary: string|null, confidence: number,
+ *             level: string, ranked: {intent: string, score: number}[], source: string }}
+ */
+function detectByRules(text) {
+    const ranked = rankIntents(text);
+    if (ranked.length === 0) {
+        return { detected: 'general', secondary: null, confidence: 0, level: 'low', ranked: [], source: 'rule' };
+    }
+
+    const [top, runnerUp] = ranked;
+    const margin = runnerUp ? (top.score - runnerUp.score) / top.score : 1;
+    const strength = Math.min(1, top.score / STRONG_SCORE);
+    const confidence = round2(strength * (0.3 + 0.7 * margin));
+
+    return {
+        detected: top.intent,
+        secondary: runnerUp && runnerUp.score >= top.score * SECONDARY_RATIO ? runnerUp.intent : null,
+        confidence,
+        level: confidenceLevel(confidence),
+        ranked: ranked.slice(0, MAX_RANKED),
+        source: 'rule',
+    };
 }
 
 /**
@@ -74,7 +137,9 @@ async function detectByAI(text) {
 - "intent": one of [code_generation, explanation, debugging, creative_writing, data_analysis, summarization, translation, comparison, instruction, general]
 - "confidence": one of [high, medium, low]
 
-User prompt: "${text}"
+${promptFence.notice()}
+
+${promptFence.wrap(text)}
 
 Respond with ONLY valid JSON, no markdown, no explanation.`;
 
@@ -84,9 +149,13 @@ Respond with ONLY valid JSON, no markdown, no explanation.`;
     try {
         const cleaned = raw.replace(/```json\n?|```/g, '').trim();
         const parsed = JSON.parse(cleaned);
+        const level = parsed.confidence || 'medium';
         return {
             detected: parsed.intent || 'general',
-            confidence: parsed.confidence || 'medium',
+            secondary: null,
+            confidence: { high: 0.9, medium: 0.6, low: 0.3 }[level] ?? 0.6,
+            level,
+            ranked: [],
             source: 'ai',
         };
     } catch {
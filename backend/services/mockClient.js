@@ -0,0 +1,158 @@
+/**
+ * services/mockClient.js — Deterministic local LLM provider
+ *
+ * Offline stand-in for the real clients with the same `generate(prompt)`
+ * contract (text on success, null on failure, never throws).
+ * Enable with USE_AI=true and AI_PROVIDERS=mock.
+ *
+ * Modes (MOCK_AI_MODE):
+ *  - replay (default): serve the fixture recorded for this prompt's hash,
+ *    or synthesize a deterministic answer from the rule-based detectors
+ *    (categories in <selected_constraints> are never reported as gaps)
+ *  - record: forward to MOCK_AI_RECORD_FROM (default "groq") and save
+ *    the answer as a fixture for later replay; "mock" is rejected at load,
+ *    as it would forward to itself
+ *
+ * Fault injection (MOCK_AI_FAULT) exercises the callers' fallback paths:
+ *  - malformed    : truncated, unparseable JSON
+ *  - empty_fields : valid JSON with empty gaps/suggestions/refined
+ *  - fenced       : valid answer wrapped in ```json fences
+ *  - rate_limit   : null, as the real clients return on HTTP 429
+ *
+ * Fixtures live in MOCK_AI_FIXTURES (default backend/fixtures/ai),
+ * one `<hash>.json` file per prompt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const constraintDetector = require('./constraintDetector');
+const intentDetector = require('./intentDetector');
+const promptFence = require('./promptFence');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'ai');
+const RECORD_FROM = (process.env.MOCK_AI_RECORD_FROM || 'groq').trim().toLowerCase();
+
+if (RECORD_FROM === 'mock') {
+    throw new Error('MOCK_AI_RECORD_FROM cannot be "mock" — record from a real provider (groq, gemini, grok)');
+}
+
+/**
+ * Stable fixture key for a prompt.
+ */
+function hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+function fixtureDir() {
+    return process.env.MOCK_AI_FIXTURES || DEFAULT_FIXTURE_DIR;
+}
+
+function readFixture(key) {
+    const file = path.join(fixtureDir(), `${key}.json`);
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8')).response ?? null;
+    } catch (err) {
+        console.error(`❌ Mock AI fixture ${key} unreadable:`, err.message);
+        return null;
+    }
+}
+
+function writeFixture(key, prompt, response) {
+    const dir = fixtureDir();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+        path.join(dir, `${key}.json`),
+        JSON.stringify({ key, prompt, response }, null, 2)
+    );
+}
+
+/**
+ * Pull the user's text back out of the analyzer meta-prompt.
+ */
+function extractUserText(prompt) {
+    return promptFence.unwrap(prompt) ?? prompt;
+}
+
+/**
+ * Categories the user already picked, from the analyzer's
+ * <selected_constraints> block — the meta-prompt tells the model to leave
+ * them out of the gaps.
+ */
+function selectedCategories(prompt) {
+    const block = promptFence.unwrap(prompt, 'selected_constraints');
+    if (!block) return [];
+    try {
+        return Object.entries(JSON.parse(block))
+            .filter(([, value]) => value && value.length !== 0)
+            .map(([name]) => name);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Build a deterministic analyzer-shaped answer from the rule-based detectors.
+ */
+async function synthesize(prompt) {
+    const text = extractUserText(prompt).trim();
+    const intent = await intentDetector.detect(text);
+    const selected = selectedCategories(prompt);
+    const detection = await constraintDetector.detect(text, intent.detected);
+    const gaps = detection.gaps.filter((g) => !selected.includes(g));
+    const { suggestions } = detection;
+    const refined = text.charAt(0).toUpperCase() + text.slice(1) + (/[.!?]$/.test(text) ? '' : '.');
+    return JSON.stringify({
+        gaps,
+        suggestions: Object.fromEntries(gaps.map((g) => [g, suggestions[g].slice(0, 3)])),
+        refined,
+    });
+}
+
+function applyFault(fault, response) {
+    switch (fault) {
+        case 'malformed':
+            return response.slice(0, Math.max(1, Math.floor(response.length / 2)));
+        case 'empty_fields':
+            return JSON.stringify({ gaps: [], suggestions: {}, refined: '' });
+        case 'fenced':
+            return '```json\n' + response + '\n```';
+        case 'rate_limit':
+            console.error('❌ Mock AI error (429): simulated rate limit');
+            return null;
+        default:
+            return response;
+    }
+}
+
+/**
+ * Generate text from the mock provider.
+ * @param {string} prompt — The full prompt to send
+ * @returns {string|null} — Mock response text, or null on (simulated) failure
+ */
+async function generate(prompt) {
+    if (process.env.USE_AI !== 'true') return null;
+
+    try {
+        const key = hashPrompt(prompt);
+        const mode = process.env.MOCK_AI_MODE || 'replay';
+        let response;
+
+        if (mode === 'record') {
+            const client = require('./aiProviders').getClient(RECORD_FROM);
+            response = client ? await client.generate(prompt) : null;
+            if (response) writeFixture(key, prompt, response);
+        } else {
+            response = readFixture(key) ?? await synthesize(prompt);
+        }
+
+        if (!response) return null;
+        return applyFault(process.env.MOCK_AI_FAULT, response);
+    } catch (err) {
+        console.error('❌ Mock AI error:', err.message);
+        return null;
+    }
+}
+
+module.exports = { generate, hashPrompt };
@@ -0,0 +1,63 @@
+/**
+ * services/placeholderDetector.js — Unresolved placeholder detection
+ *
+ * Finds template leftovers that make a prompt look complete when it isn't:
+ *  - template variables   : {{topic}}, {{ target_lang }}
+ *  - bracket placeholders : [INSERT CODE], [your name here], [TOPIC]
+ *  - angle placeholders   : <your text here>, <insert example>
+ *  - filler markers       : XXX, TBD, ___
+ *
+ * Each match is reported with its character offsets in the input text.
+ * Redaction markers ([REDACTED_EMAIL_1], see secretScanner) are deliberate
+ * and never reported.
+ */
+
+// Words that introduce a fill-in-the-blank instruction inside [..] or <..>
+const FILL_WORDS = 'insert|your|add|enter|paste|put|placeholder|fill in|replace with|describe';
+
+// Brackets right after an identifier or call are indexing (array[INDEX], rows()[KEY]),
+// and a following "(" means a markdown link — neither is a placeholder
+const BRACKET_START = '(?<![\\w\\])])\\[';
+const BRACKET_END = '\\](?!\\()';
+
+const PATTERNS = [
+    { type: 'template_variable', regex: /\{\{\s*[^{}\n]{1,60}?\s*\}\}/g },
+    // Keyword-led brackets
+    { type: 'bracket', regex: new RegExp(`${BRACKET_START}\\s*(?:${FILL_WORDS})\\b[^\\]\\n]{0,60}${BRACKET_END}`, 'gi') },
+    // ALL-CAPS brackets such as [TOPIC] or [CODE HERE]
+    { type: 'bracket', regex: new RegExp(`${BRACKET_START}(?!REDACTED_)[A-Z][A-Z0-9 _-]{1,40}${BRACKET_END}`, 'g') },
+    // One run of words only, not after an identifier — Map<Your, T> is a generic type
+    { type: 'angle', regex: new RegExp(`(?<!\\w)<\\s*(?:${FILL_WORDS})\\b[\\w '-]{0,60}>`, 'gi') },
+    // A blank, not underscores inside an identifier (my_var___name)
+    { type: 'marker', regex: /\b(?:X{3,}|TBD)\b|(?<!\w)_{3,}(?!\w)/g },
+];
+
+/**
+ * Detect unresolved placeholders.
+ * @param {string} text
+ * @returns {{ text: string, type: string, start: number, end: number }[]} — sorted by position, non-overlapping
+ */
+function detect(text) {
+    const found = [];
+    for (const { type, regex } of PATTERNS) {
+        for (const match of String(text || '').matchAll(regex)) {
+            found.push({
+                text: match[0],
+                type,
+                start: match.index,
+                end: match.index + match[0].length,
+            });
+        }
+    }
+
+    // Keep the earliest (then longest) match where patterns overlap
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    const placeholders = [];
+    for (const p of found) {
+        const last = placeholders[placeholders.length - 1];
+        if (!last || p.start >= last.end) placeholders.push(p);
+    }
+    return placeholders;
+}
+
+module.exports = { detect };
@@ -8,28 +8,73 @@
  *
  * This replaces multiple individual AI calls with one combined call,
  * reducing total AI usage from ~13 calls to ~3 for a full flow.
+ *
+ * The call goes through the provider registry (AI_PROVIDERS), which
+ * fails over between Groq, Gemini and Grok. Successful results are
+ * cached by normalized text + constraints + intent (see analysisCache).
+ *
+ * The user's prompt and selected constraints are fenced as data inside the
+ * meta-prompt (see promptFence), so text that looks like instructions or
+ * JSON can't rewrite the analysis.
  */
 
-const groq = require('./groqClient');
+const aiProviders = require('./aiProviders');
+const analysisCache = require('./analysisCache');
+const constraintCatalog = require('./constraintCatalog');
+const promptFence = require('./promptFence');
+
+/**
+ * Whether a parsed AI answer has the fields callers rely on:
+ * gaps, a suggestions object and a non-empty refined string.
+ */
+function isValidAnalysis(parsed) {
+    if (!parsed || !parsed.gaps) return false;
+    const { suggestions, refined } = parsed;
+    const suggestionsOk = Boolean(suggestions) && typeof suggestions === 'object' && !Array.isArray(suggestions);
+    return suggestionsOk && typeof refined === 'string' && refined.trim() !== '';
+}
 
 /**
  * Analyze a prompt and return gaps, context-aware suggestions, and a refined version.
  * @param {string} text — The prompt to analyze
  * @param {object} constraints — Any user-selected constraints (e.g. { language: 'Python' })
- * @returns {{ gaps: string[], suggestions: object, refined: string } | null}
+ * @param {object} [options]
+ * @param {boolean} [options.bypassCache=false] — Skip the cache lookup and force a fresh AI call
+ * @param {string} [options.intent] — Detected intent; selects which constraint categories apply
+ * @returns {{ gaps: string[], suggestions: object, refined: string, provider: string, cached?: boolean } | null}
  */
-async function analyze(text, constraints = {}) {
-    const constraintInfo = Object.keys(constraints).length > 0
-        ? `\nThe user has already selected these constraints: ${JSON.stringify(constraints)}. Do NOT include these in gaps.`
+async function analyze(text, constraints = {}, { bypassCache = false, intent } = {}) {
+    // The intent changes which categories are asked for, so it is part of the cache key
+    const cacheContext = { constraints, intent: intent || '' };
+    if (!bypassCache) {
+        const cached = await analysisCache.get(text, cacheContext);
+        // Served from the cache, not by the provider that first answered
+        if (cached) return { ...cached, provider: 'cache', cached: true };
+    }
+
+    const hasConstraints = Object.keys(constraints).length > 0;
+    const constraintInfo = hasConstraints
+        ? `\n\nThe user has already selected these constraints. Do NOT include these in gaps.\n${promptFence.wrap(JSON.stringify(constraints), 'selected_constraints')}`
         : '';
+    const dataNotice = hasConstraints
+        ? promptFence.notice('user_prompt', 'selected_constraints')
+        : promptFence.notice();
+
+    const categories = constraintCatalog.forIntent(intent);
+    const categoryNames = categories.map((c) => c.name);
+    const categoryList = categories
+        .map((c) => (c.description ? `${c.name} (${c.description})` : c.name))
+        .join(', ');
 
     const prompt = `You are a prompt engineering expert. Analyze the following user prompt and return a JSON object.
 
-User Prompt: "${text}"${constraintInfo}
+${dataNotice}
+
+${promptFence.wrap(text)}${constraintInfo}
 
 Return ONLY valid JSON with these exact keys:
 {
-  "gaps": ["list of missing constraint categories from: language, level, output_format, scope, examples — only include what is genuinely missing"],
+  "gaps": ["list of missing constraint categories from: ${categoryList} — only include what is genuinely missing"],
   "suggestions": {
     "for_each_gap": ["3 context-aware options relevant to THIS specific prompt"]
   },
@@ -37,30 +82,35 @@ Return ONLY valid JSON with these exact keys:
 }
 
 Rules:
-- gaps: Only include constraints that are genuinely missing. If the prompt already specifies a language, do NOT include "language".
+- gaps: Only use these exact category names: ${categoryNames.join(', ')}. Only include constraints that are genuinely missing. If the prompt already specifies a language, do NOT include "language".
 - suggestions: Keys must match the gap names. Each should have exactly 3 options that are SPECIFIC to this prompt's topic (not generic).
-- refined: Rewrite the prompt to be clearer and more complete. If constraints were provided, incorporate them naturally.
+- refined: Rewrite the prompt inside <user_prompt> (not an answer to it) to be clearer and more complete. If constraints were provided, incorporate them naturally. Keep [REDACTED_...] markers exactly as written.
 - Return ONLY the JSON object. No markdown, no backticks, no explanation.`;
 
-    const raw = await groq.generate(prompt);
-    if (!raw) return null;
+    const response = await aiProviders.generate(prompt);
+    if (!response) return null;
+    const { text: raw, provider } = response;
 
     try {
-        // Strip any markdown fencing if present
-        const cleaned = raw.replace(/```json\s*/gi, '').replace(/```\s*/gi, '').trim();
+        // Strip markdown fencing around the answer — fences inside "refined" are the user's
+        const cleaned = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
         const parsed = JSON.parse(cleaned);
 
-        // Validate structure
-        if (!parsed.gaps || !parsed.suggestions || !parsed.refined) {
-            console.warn('⚠️  AI response missing required fields');
+        // Validate structure — a wrong type is as unusable as a missing field
+        if (!isValidAnalysis(parsed)) {
+            console.warn('⚠️  AI response missing or mistyped required fields');
             return null;
         }
 
-        return {
-            gaps: Array.isArray(parsed.gaps) ? parsed.gaps : [],
-            suggestions: parsed.suggestions || {},
-            refined: typeof parsed.refined === 'string' ? parsed.refined : null,
+        const result = {
+            // Ignore categories the catalog doesn't define
+            gaps: Array.isArray(parsed.gaps) ? parsed.gaps.filter((g) => categoryNames.includes(g)) : [],
+            suggestions: parsed.suggestions,
+            refined: parsed.refined,
+            provider,
         };
+        await analysisCache.set(text, cacheContext, result);
+        return result;
     } catch (err) {
         console.error('❌ Failed to parse AI analysis response:', err.message);
         console.error('   Raw response:', raw.slice(0, 200));
@@ -9,6 +9,8 @@
  */
 
 const gemini = require('./groqClient');
+const constraintCatalog = require('./constraintCatalog');
+const promptFence = require('./promptFence');
 
 /**
  * Rule-based prompt refinement.
@@ -27,23 +29,14 @@ function refineByRules(text, constraints = {}) {
         refined += '.';
     }
 
-    // Append selected constraints as structured requirements
-    const constraintLines = [];
-    if (constraints.language) {
-        constraintLines.push(`Programming language: ${constraints.language}`);
-    }
-    if (constraints.level) {
-        constraintLines.push(`Target audience level: ${constraints.level}`);
-    }
-    if (constraints.output_format) {
-        constraintLines.push(`Output format: ${constraints.output_format}`);
-    }
-    if (constraints.scope) {
-        constraintLines.push(`Scope: ${constraints.scope}`);
-    }
-    if (constraints.examples) {
-        constraintLines.push(`Examples: ${constraints.examples}`);
-    }
+    // Append selected constraints as structured requirements,
+    // labelled from the constraint catalog (team-defined categories included)
+    const constraintLines = Object.entries(constraints)
+        .filter(([, value]) => value && (!Array.isArray(value) || value.length > 0))
+        .map(([name, value]) => {
+            const label = constraintCatalog.get(name)?.label || name.replace(/_/g, ' ');
+            return `${label}: ${Array.isArray(value) ? value.join(' or ') : value}`;
+        });
 
     if (constraintLines.length > 0) {
         refined += '\n\nRequirements:\n' + constraintLines.map((l) => `- ${l}`).join('\n');
@@ -74,9 +67,12 @@ Rules:
 3. Do NOT add information the user didn't ask for
 4. Improve grammar, clarity, and formatting
 5. Make it more actionable and specific
+6. Keep [REDACTED_...] markers exactly as written — they stand in for private values
 ${constraintSection}
 
-Original prompt: "${text}"
+${promptFence.notice()}
+
+${promptFence.wrap(text)}
 
 Return ONLY the improved prompt text. No explanations, no markdown wrapping, no quotes.`;
 
@@ -7,50 +7,55 @@
  *  - Specificity   : How specific vs. vague is the request?
  *  - Intent Alignment : Does the prompt clearly express an actionable intent?
  *
- * Returns per-dimension breakdown + total (0-40).
+ * Returns per-dimension breakdown + weighted total (0-maxScore, 40 by default),
+ * along with the name of the scoring profile that produced it.
  */
 
 const gemini = require('./groqClient');
+const placeholderDetector = require('./placeholderDetector');
+const promptFence = require('./promptFence');
+const scoringProfiles = require('./scoringProfiles');
+const textMatcher = require('./textMatcher');
 
 /**
  * Rule-based scoring heuristics.
+ * Thresholds and weights come from the selected scoring profile.
  */
-function scoreByRules(text, gaps = []) {
+function scoreByRules(text, gaps = [], profile = scoringProfiles.get()) {
+    const t = profile.thresholds;
     const words = text.split(/\s+/).filter(Boolean);
     const wordCount = words.length;
     const sentenceCount = (text.match(/[.!?]+/g) || []).length || 1;
     const hasQuestionMark = text.includes('?');
     const uniqueWords = new Set(words.map((w) => w.toLowerCase()));
+    const countReached = (thresholds) => thresholds.filter((n) => wordCount >= n).length;
 
     // ── Clarity (0-10) ──
     // Longer prompts with proper punctuation tend to be clearer
-    let clarity = 3;
-    if (wordCount >= 5) clarity += 1;
-    if (wordCount >= 10) clarity += 1;
-    if (wordCount >= 20) clarity += 1;
+    let clarity = t.clarity.base;
+    clarity += countReached(t.clarity.wordCounts);
     if (sentenceCount >= 2) clarity += 1;
     if (text.includes(',')) clarity += 1;
     if (hasQuestionMark || text.includes('.')) clarity += 1;
     // Penalize very short prompts
-    if (wordCount < 3) clarity = Math.max(1, clarity - 3);
+    if (wordCount < t.clarity.shortPromptWords) clarity = Math.max(1, clarity - t.clarity.shortPromptPenalty);
     clarity = Math.min(10, clarity);
 
     // ── Completeness (0-10) ──
     // Based on how few constraint gaps exist
-    let completeness = 10 - gaps.length * 2;
-    if (wordCount >= 15) completeness += 1;
-    if (wordCount >= 30) completeness += 1;
+    let completeness = 10 - gaps.length * t.completeness.gapPenalty;
+    completeness += countReached(t.completeness.wordCounts);
+    // Unfilled placeholders ({{topic}}, [INSERT CODE], …) mean content is still missing
+    const placeholderCount = placeholderDetector.detect(text).length;
+    completeness -= Math.min(t.completeness.maxPlaceholderPenalty, placeholderCount * t.completeness.placeholderPenalty);
     completeness = Math.max(1, Math.min(10, completeness));
 
     // ── Specificity (0-10) ──
     // Higher vocabulary diversity + technical terms = more specific
-    let specificity = 3;
+    let specificity = t.specificity.base;
     const diversityRatio = uniqueWords.size / Math.max(wordCount, 1);
-    if (diversityRatio > 0.6) specificity += 1;
-    if (diversityRatio > 0.8) specificity += 1;
-    if (wordCount >= 8) specificity += 1;
-    if (wordCount >= 15) specificity += 1;
-    if (wordCount >= 25) specificity += 1;
+    specificity += t.specificity.diversityRatios.filter((r) => diversityRatio > r).length;
+    specificity += countReached(t.specificity.wordCounts);
     // Check for specific technical terms or numbers
     if (/\d+/.test(text)) specificity += 1;
     if (/[A-Z]{2,}/.test(text)) specificity += 1; // acronyms
@@ -58,23 +63,37 @@ function scoreByRules(text, gaps = []) {
 
     // ── Intent Alignment (0-10) ──
     // Does the prompt have a clear action verb / question?
-    let intentAlignment = 4;
+    let intentAlignment = t.intentAlignment.base;
     const actionVerbs = [
         'write', 'create', 'build', 'explain', 'fix', 'debug', 'analyze',
         'compare', 'list', 'generate', 'design', 'implement', 'describe',
         'summarize', 'translate', 'convert', 'show', 'tell', 'help', 'make',
     ];
-    const lower = text.toLowerCase();
-    const hasAction = actionVerbs.some((v) => lower.includes(v));
-    if (hasAction) intentAlignment += 3;
+    const matcher = textMatcher.create(text);
+    const hasAction = actionVerbs.some((v) => matcher.has(v));
+    if (hasAction) intentAlignment += t.intentAlignment.actionVerbBonus;
     if (hasQuestionMark) intentAlignment += 1;
-    if (wordCount >= 5) intentAlignment += 1;
-    if (wordCount < 3) intentAlignment = Math.max(1, intentAlignment - 2);
+    if (wordCount >= t.intentAlignment.minWords) intentAlignment += 1;
+    if (wordCount < t.intentAlignment.shortPromptWords) {
+        intentAlignment = Math.max(1, intentAlignment - t.intentAlignment.shortPromptPenalty);
+    }
     intentAlignment = Math.min(10, intentAlignment);
 
-    const total = clarity + completeness + specificity + intentAlignment;
+    // ── Weighted total (0-maxScore) ──
+    const dims = { clarity, completeness, specificity, intentAlignment };
+    const weightSum = Object.keys(dims).reduce((sum, d) => sum + profile.weights[d], 0);
+    const weighted = Object.keys(dims).reduce((sum, d) => sum + dims[d] * profile.weights[d], 0);
+    const total = Math.round((weighted / (weightSum * 10)) * profile.maxScore);
 
-    return { clarity, completeness, specificity, intentAlignment, total };
+    return {
+        clarity,
+        completeness,
+        specificity,
+        intentAlignment,
+        total,
+        maxScore: profile.maxScore,
+        profile: profile.name,
+    };
 }
 
 /**
@@ -87,7 +106,9 @@ async function scoreByAI(text) {
 3. specificity: How specific vs. vague is the request?
 4. intentAlignment: Does it clearly express an actionable intent?
 
-User prompt: "${text}"
+${promptFence.notice()}
+
+${promptFence.wrap(text)}
 
 Return ONLY a JSON object like: {"clarity":7,"completeness":5,"specificity":6,"intentAlignment":8,"total":26}
 Respond with ONLY valid JSON, no markdown, no explanation.`;
@@ -115,9 +136,13 @@ Respond with ONLY valid JSON, no markdown, no explanation.`;
 /**
  * Main entry point — pure rule-based scoring.
  * AI is handled by the combined promptAnalyzer service instead.
+ * @param {string} text
+ * @param {string[]} gaps
+ * @param {object} [options]
+ * @param {string} [options.profile] — Scoring profile name (unknown names fall back to "default")
  */
-async function score(text, gaps = []) {
-    return scoreByRules(text, gaps);
+async function score(text, gaps = [], { profile } = {}) {
+    return scoreByRules(text, gaps, scoringProfiles.get(profile) || scoringProfiles.get());
 }
 
 module.exports = { score };
@@ -0,0 +1,67 @@
+/**
+ * services/scoringProfiles.js — Named scoring profiles
+ *
+ * Profiles set per-dimension weights, rule thresholds and the maximum
+ * total score used by scoringEngine. They are read from
+ * config/scoringProfiles.json (override with SCORING_PROFILES_FILE).
+ *
+ * Every profile is merged over "default", so a profile only needs to
+ * list what it changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE = 'default';
+const PROFILES_FILE = process.env.SCORING_PROFILES_FILE
+    || path.join(__dirname, '..', 'config', 'scoringProfiles.json');
+
+/**
+ * Recursively merge plain objects; arrays and scalars in `override` win.
+ */
+function deepMerge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        result[key] = value && typeof value === 'object' && !Array.isArray(value)
+            ? deepMerge(base?.[key] || {}, value)
+            : value;
+    }
+    return result;
+}
+
+function loadProfiles() {
+    const raw = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+    if (!raw[DEFAULT_PROFILE]) {
+        throw new Error(`Scoring profiles file ${PROFILES_FILE} must define a "${DEFAULT_PROFILE}" profile`);
+    }
+
+    const profiles = {};
+    for (const [name, profile] of Object.entries(raw)) {
+        profiles[name] = {
+            name,
+            ...(name === DEFAULT_PROFILE ? profile : deepMerge(raw[DEFAULT_PROFILE], profile)),
+        };
+    }
+    return profiles;
+}
+
+const profiles = loadProfiles();
+
+function has(name) {
+    return Object.prototype.hasOwnProperty.call(profiles, name);
+}
+
+/**
+ * Resolve a profile by name (falls back to "default" when name is empty).
+ * @returns {object|null} — null for an unknown name
+ */
+function get(name) {
+    if (!name) return profiles[DEFAULT_PROFILE];
+    return has(name) ? profiles[name] : null;
+}
+
+function list() {
+    return Object.values(profiles);
+}
+
+module.exports = { get, has, list, DEFAULT_PROFILE };
@@ -0,0 +1,184 @@
+/**
+ * services/secretScanner.js — Secret & PII detection
+ *
+ * Finds things that should not leave the user's machine inside a prompt:
+ *  - secrets : API keys and tokens (AWS, GitHub, Slack, Google, Stripe/OpenAI
+ *              style), JWTs, private key blocks, bearer tokens, passwords in
+ *              URLs or key=value assignments, and high-entropy strings
+ *  - pii     : email addresses, phone numbers, card numbers (Luhn-checked),
+ *              US social security numbers, IP addresses, internal hostnames
+ *
+ * The patterns live in config/secretRules.json, shared with
+ * extension/secretScanner.js (which scans before anything is sent) through
+ * the generated extension/secretRules.js. The backend copy flags prompts
+ * from clients that did not redact (API users, older extension builds).
+ * Both scanners implement the validators, scan, redact and restore;
+ * `npm run check:secret-rules` runs them on the same corpus so they agree.
+ *
+ * Redaction swaps each value for a stable placeholder such as
+ * [REDACTED_EMAIL_1]; the same value always gets the same placeholder, and
+ * restore() puts the originals back.
+ */
+
+const SHARED_RULES = require('../config/secretRules.json');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function luhn(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+// Checks a rule can name in config/secretRules.json ("validate": "luhn")
+const VALIDATORS = {
+    luhn,
+    phone: (value) => {
+        const digits = value.replace(/\D/g, '').length;
+        return digits >= 10 && digits <= 15 && /^\+|[\s.()-]/.test(value);
+    },
+    // Every octet in range; loopback and 0.0.0.0 are harmless
+    ipv4: (value) => value.split('.').every((octet) => Number(octet) <= 255)
+        && !/^(?:127\.|0\.0\.0\.0$)/.test(value),
+};
+
+const RULES = SHARED_RULES.rules.map((rule) => ({
+    ...rule,
+    regex: new RegExp(rule.pattern, `g${rule.flags || ''}`),
+    validate: rule.validate ? VALIDATORS[rule.validate] : null,
+}));
+
+/* ── Entropy check: long random-looking tokens no pattern names ── */
+const ENTROPY_TOKEN = new RegExp(SHARED_RULES.entropy.pattern, 'g');
+const ENTROPY_THRESHOLD = SHARED_RULES.entropy.threshold; // bits per character
+
+/**
+ * Shannon entropy of a string in bits per character.
+ */
+function entropy(value) {
+    const counts = {};
+    for (const ch of value) counts[ch] = (counts[ch] || 0) + 1;
+    return Object.values(counts).reduce((sum, n) => {
+        const p = n / value.length;
+        return sum - p * Math.log2(p);
+    }, 0);
+}
+
+function looksRandom(token) {
+    if (UUID.test(token) || /^[0-9a-f]+$/i.test(token)) return false; // ids and hashes
+    if (!/[A-Za-z]/.test(token) || !/\d/.test(token)) return false;
+    return entropy(token) >= ENTROPY_THRESHOLD;
+}
+
+/**
+ * Scan text for secrets and PII.
+ * @param {string} text
+ * @returns {{ type: string, category: string, label: string, source: string,
+ *             text: string, start: number, end: number }[]} — sorted by position, non-overlapping
+ */
+function scan(text) {
+    const input = String(text || '');
+    const found = [];
+
+    for (const rule of RULES) {
+        for (const match of input.matchAll(rule.regex)) {
+            const value = rule.group ? match[rule.group] : match[0];
+            if (!value || (rule.validate && !rule.validate(value))) continue;
+            const start = match.index + (rule.group ? match[0].indexOf(value) : 0);
+            found.push({
+                type: rule.type,
+                category: rule.category,
+                label: rule.label,
+                source: 'pattern',
+                text: value,
+                start,
+                end: start + value.length,
+            });
+        }
+    }
+
+    for (const match of input.matchAll(ENTROPY_TOKEN)) {
+        if (!looksRandom(match[0])) continue;
+        found.push({
+            type: 'secret',
+            category: 'secret',
+            label: 'High-entropy string',
+            source: 'entropy',
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length,
+        });
+    }
+
+    // Earliest, then longest match wins; named patterns beat the entropy check on ties
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    const findings = [];
+    for (const f of found) {
+        const last = findings[findings.length - 1];
+        if (!last || f.start >= last.end) findings.push(f);
+    }
+    return findings;
+}
+
+/**
+ * Short preview that doesn't reveal the value: "AKIA…LE", "j…".
+ */
+function mask(value) {
+    if (value.length <= 8) return `${value[0]}…`;
+    return `${value.slice(0, 4)}…${value.slice(-2)}`;
+}
+
+/**
+ * A finding without the sensitive value itself — safe to return or log.
+ */
+function summarize(finding) {
+    const { text, ...rest } = finding;
+    return { ...rest, preview: mask(text) };
+}
+
+/**
+ * Replace findings with placeholders.
+ * @param {string} text
+ * @param {Object[]} findings      — from scan() (the ones the user chose to redact)
+ * @param {Object[]} [existing]    — replacements from an earlier redaction, reused and extended
+ * @returns {{ text: string, replacements: { placeholder: string, original: string, type: string }[] }}
+ */
+function redact(text, findings, existing = []) {
+    const replacements = [...existing];
+    let out = '';
+    let pos = 0;
+
+    for (const f of [...findings].sort((a, b) => a.start - b.start)) {
+        let replacement = replacements.find((r) => r.original === f.text);
+        if (!replacement) {
+            const n = replacements.filter((r) => r.type === f.type).length + 1;
+            replacement = { placeholder: `[REDACTED_${f.type.toUpperCase()}_${n}]`, original: f.text, type: f.type };
+            replacements.push(replacement);
+        }
+        out += text.slice(pos, f.start) + replacement.placeholder;
+        pos = f.end;
+    }
+
+    return { text: out + text.slice(pos), replacements };
+}
+
+/**
+ * Put the original values back in place of their placeholders.
+ */
+function restore(text, replacements = []) {
+    return replacements.reduce(
+        (out, r) => out.split(r.placeholder).join(r.original),
+        String(text || '')
+    );
+}
+
+module.exports = { scan, summarize, mask, redact, restore, entropy };
@@ -0,0 +1,43 @@
+/**
+ * services/templateRenderer.js — {{variable}} template rendering
+ *
+ * Variable names may contain letters, digits, underscores, dots and dashes,
+ * with optional whitespace inside the braces: {{ topic }}, {{target-lang}}.
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * List the distinct variable names in a template body, in order of appearance.
+ * @param {string} body
+ * @returns {string[]}
+ */
+function extractVariables(body) {
+    const names = [];
+    for (const match of String(body || '').matchAll(VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+/**
+ * Fill a template body with values.
+ * @param {string} body
+ * @param {object} values — { variableName: value }
+ * @returns {{ text: string, missing: string[] }} — missing lists variables without a non-empty value
+ */
+function render(body, values = {}) {
+    const missing = [];
+    const text = String(body || '').replace(VARIABLE_PATTERN, (placeholder, name) => {
+        // Own keys only — {{constructor}} must not pick up Object.prototype
+        const value = Object.prototype.hasOwnProperty.call(values, name) ? values[name] : undefined;
+        if (value === undefined || value === null || String(value).trim() === '') {
+            if (!missing.includes(name)) missing.push(name);
+            return placeholder;
+        }
+        return String(value);
+    });
+    return { text, missing };
+}
+
+module.exports = { extractVariables, render };
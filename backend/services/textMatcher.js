@@ -0,0 +1,156 @@
+/**
+ * services/textMatcher.js — Tokenizer-based keyword matching
+ *
+ * Shared by the rule engines (intentDetector, constraintDetector,
+ * scoringEngine) instead of `lower.includes(kw)`, which let "vs" match
+ * "canvas" and "data" match "update".
+ *
+ *  - Text is split into word tokens and single punctuation tokens, so
+ *    keywords like "c++", "e.g." and "tl;dr" still match.
+ *  - Keywords match whole tokens; multi-word keywords ("bullet points")
+ *    match consecutive tokens. The last word may carry a plural "s"/"es"
+ *    ("examples" satisfies "example").
+ *  - Negation scopes: after a negator ("not", "don't", "without", …) the
+ *    next few words are negated until a clause boundary (",", ".", "but", …).
+ *    Negated matches don't count — "don't include examples" has no examples.
+ *
+ * Usage:
+ *   const matcher = textMatcher.create(text);
+ *   matcher.has('example');        // → true / false
+ *   matcher.indexOf('fix');        // → char offset of first non-negated hit, or -1
+ *   matcher.locate('python');      // → { start, end } of that hit, or null
+ *   matcher.test(/\bq[1-4]\b/i);   // → regex hit outside negation scopes
+ *   matcher.match(/\bq[1-4]\b/i);  // → that RegExp match, or null
+ */
+
+const TOKEN_RE = /[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+// Single-word negators; multi-word ones are matched as token sequences
+const NEGATORS = ['not', 'no', 'never', 'without', 'avoid', 'skip', 'exclude', 'excluding', 'neither', 'nor'];
+const NEGATOR_PHRASES = [
+    ['don', "'", 't'], ['doesn', "'", 't'], ['didn', "'", 't'], ['shouldn', "'", 't'],
+    ['won', "'", 't'], ['can', "'", 't'], ['dont'], ['doesnt'], ['cannot'],
+];
+// Tokens that close a negation scope
+const SCOPE_BREAKERS = new Set(['.', ',', ';', ':', '!', '?', 'but', 'however', 'instead', 'then']);
+// Words after a negator that are still negated
+const NEGATION_WINDOW = 3;
+
+const PLURAL_SUFFIXES = ['s', 'es'];
+
+/**
+ * Split text into tokens: { text, start, end, isWord, negated }.
+ * Curly apostrophes are normalized so "don’t" negates like "don't".
+ */
+function tokenize(text) {
+    const normalized = String(text || '').toLowerCase().replace(/[‘’]/g, "'");
+    const tokens = [];
+    for (const match of normalized.matchAll(TOKEN_RE)) {
+        tokens.push({
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length,
+            isWord: /[\p{L}\p{N}_]/u.test(match[0]),
+            negated: false,
+        });
+    }
+    markNegation(tokens);
+    return tokens;
+}
+
+function negatorLength(tokens, i) {
+    if (NEGATORS.includes(tokens[i].text)) return 1;
+    const phrase = NEGATOR_PHRASES.find((p) => p.every((t, k) => tokens[i + k]?.text === t));
+    return phrase ? phrase.length : 0;
+}
+
+function markNegation(tokens) {
+    let i = 0;
+    while (i < tokens.length) {
+        const length = negatorLength(tokens, i);
+        if (!length) {
+            i += 1;
+            continue;
+        }
+        let j = i + length;
+        let words = 0;
+        while (j < tokens.length && words < NEGATION_WINDOW && !SCOPE_BREAKERS.has(tokens[j].text)) {
+            // Stop at the next negator — it opens its own scope
+            if (negatorLength(tokens, j)) break;
+            tokens[j].negated = true;
+            if (tokens[j].isWord) words += 1;
+            j += 1;
+        }
+        i = j;
+    }
+}
+
+const phraseCache = new Map();
+
+function phraseTokens(phrase) {
+    if (!phraseCache.has(phrase)) {
+        phraseCache.set(phrase, tokenize(phrase).map((t) => t.text));
+    }
+    return phraseCache.get(phrase);
+}
+
+function tokenMatches(token, expected, isLast) {
+    if (token.text === expected) return true;
+    return isLast && /\p{L}$/u.test(expected)
+        && PLURAL_SUFFIXES.some((suffix) => token.text === expected + suffix);
+}
+
+/**
+ * Build a matcher over one text; tokenizes once, answers many queries.
+ */
+function create(text) {
+    const tokens = tokenize(text);
+
+    /** Token index of the first occurrence of `phrase` whose first token isn't negated. */
+    function find(phrase, { includeNegated = false } = {}) {
+        const expected = phraseTokens(phrase);
+        if (expected.length === 0) return -1;
+        for (let i = 0; i + expected.length <= tokens.length; i++) {
+            if (!includeNegated && tokens[i].negated) continue;
+            const hit = expected.every((t, k) => tokenMatches(tokens[i + k], t, k === expected.length - 1));
+            if (hit) return i;
+        }
+        return -1;
+    }
+
+    return {
+        tokens,
+        has(phrase, options) {
+            return find(phrase, options) !== -1;
+        },
+        indexOf(phrase, options) {
+            const i = find(phrase, options);
+            return i === -1 ? -1 : tokens[i].start;
+        },
+        locate(phrase, options) {
+            const i = find(phrase, options);
+            if (i === -1) return null;
+            return { start: tokens[i].start, end: tokens[i + phraseTokens(phrase).length - 1].end };
+        },
+        /** Is the character at `offset` inside a negation scope? */
+        isNegatedAt(offset) {
+            const token = tokens.find((t) => offset >= t.start && offset < t.end);
+            return Boolean(token && token.negated);
+        },
+        /** First match of `re` outside a negation scope, or null. */
+        match(re) {
+            const global = new RegExp(re.source, re.flags.includes('g') ? re.flags : re.flags + 'g');
+            const lower = String(text || '').toLowerCase().replace(/[‘’]/g, "'");
+            for (const match of lower.matchAll(global)) {
+                if (!this.isNegatedAt(match.index)) return match;
+            }
+            return null;
+        },
+        /** Does `re` match anywhere outside a negation scope? */
+        test(re) {
+            return this.match(re) !== null;
+        },
+    };
+}
+
+module.exports = { create, tokenize };
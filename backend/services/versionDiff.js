@@ -0,0 +1,118 @@
+/**
+ * services/versionDiff.js — Word-level diff between prompt versions
+ *
+ * Produces a list of spans describing how one version turned into another:
+ *  - equal  : words kept from the earlier version
+ *  - delete : words removed by the later version
+ *  - insert : words added by the later version
+ *
+ * Uses a classic LCS table after trimming the common prefix and suffix,
+ * which keeps typical refinement diffs small and fast.
+ */
+
+// Above this many table cells, skip LCS and report a full replacement
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Split text into words (whitespace is not significant for the diff).
+ */
+function tokenize(text) {
+    return (text || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Append a word to the span list, merging with the previous span of the same type.
+ */
+function pushWord(spans, type, word) {
+    const last = spans[spans.length - 1];
+    if (last && last.type === type) {
+        last.words.push(word);
+    } else {
+        spans.push({ type, words: [word] });
+    }
+}
+
+/**
+ * LCS-based diff of two word arrays.
+ */
+function diffWords(a, b) {
+    const ops = [];
+
+    // Trim common prefix and suffix
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    for (let i = 0; i < start; i++) ops.push(['equal', a[i]]);
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+
+    if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+        midA.forEach((w) => ops.push(['delete', w]));
+        midB.forEach((w) => ops.push(['insert', w]));
+    } else {
+        // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                ops.push(['equal', midA[i]]);
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                ops.push(['delete', midA[i++]]);
+            } else {
+                ops.push(['insert', midB[j++]]);
+            }
+        }
+        while (i < n) ops.push(['delete', midA[i++]]);
+        while (j < m) ops.push(['insert', midB[j++]]);
+    }
+
+    for (let i = endA; i < a.length; i++) ops.push(['equal', a[i]]);
+
+    return ops;
+}
+
+/**
+ * Diff two texts at word level.
+ * @param {string} fromText — Earlier version
+ * @param {string} toText   — Later version
+ * @returns {{ spans: {type: string, text: string}[], stats: {kept: number, inserted: number, deleted: number} }}
+ */
+function diff(fromText, toText) {
+    const ops = diffWords(tokenize(fromText), tokenize(toText));
+
+    const spans = [];
+    const stats = { kept: 0, inserted: 0, deleted: 0 };
+    const statKey = { equal: 'kept', insert: 'inserted', delete: 'deleted' };
+
+    for (const [type, word] of ops) {
+        pushWord(spans, type, word);
+        stats[statKey[type]]++;
+    }
+
+    return {
+        spans: spans.map((s) => ({ type: s.type, text: s.words.join(' ') })),
+        stats,
+    };
+}
+
+module.exports = { diff };
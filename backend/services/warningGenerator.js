@@ -4,77 +4,183 @@
  * Generates user-facing warnings based on analysis results:
  *  - Hallucination risk (when prompt is vague or under-constrained)
  *  - Incomplete constraint warnings
+ *  - Unfilled placeholder warnings
  *  - Low score warnings
+ *  - Mixed / uncertain intent warnings
+ *  - Conflicting constraint warnings (from conflictAnalyzer)
+ *  - Intent drift after refinement (from driftDetector)
+ *  - Secrets / personal data sent unredacted (from secretScanner)
+ *  - Prompt-injection and jailbreak text (from injectionAnalyzer)
+ *
+ * Each warning is a structured object clients can filter, localize and act on:
+ *   {
+ *     code:      stable identifier, e.g. "HALLUCINATION_RISK_HIGH"
+ *     severity:  "high" | "medium" | "low"
+ *     dimension: what triggered it — a score dimension ("specificity", …),
+ *                "constraints", "placeholders", "intent", "drift", "privacy"
+ *                or "injection"
+ *     message:   sentence in the requested locale (config/messages, see i18n)
+ *     action:    optional fix the panel can run, e.g.
+ *                { type: "add_constraint", category: "language", label: "Add programming language" }
+ *     text:      legacy emoji-prefixed string (what older clients displayed)
+ *   }
  */
 
+const i18n = require('./i18n');
+
+function warning(locale, code, severity, dimension, emoji, params, action) {
+    const message = i18n.t(locale, `warnings.${code}`, params);
+    const w = { code, severity, dimension, message, text: `${emoji} ${message}` };
+    if (action) w.action = action;
+    return w;
+}
+
+function addConstraintAction(locale, category) {
+    const label = i18n.label(locale, category).toLowerCase();
+    return { type: 'add_constraint', category, label: i18n.t(locale, 'actions.add_constraint', { label }) };
+}
+
+function editPromptAction(locale) {
+    return { type: 'edit_prompt', label: i18n.t(locale, 'actions.edit_prompt') };
+}
+
 /**
  * Generate warnings based on scores, gaps, and intent.
  *
- * @param {Object} scores   — { clarity, completeness, specificity, intentAlignment, total }
+ * @param {Object} scores   — { clarity, completeness, specificity, intentAlignment, total, maxScore }
  * @param {string[]} gaps   — Array of missing constraint names
- * @param {Object} intent   — { detected, confidence }
- * @returns {string[]}      — Array of warning messages
+ * @param {Object} intent   — { detected, secondary, confidence, level } from intentDetector
+ * @param {Object} [extras]
+ * @param {Object[]} [extras.placeholders] — Unresolved placeholders from placeholderDetector
+ * @param {Object[]} [extras.conflicts]    — Contradictory constraints from conflictAnalyzer
+ * @param {Object} [extras.drift]          — driftDetector result (refine only)
+ * @param {Object[]} [extras.sensitive]    — Secret / PII findings from secretScanner
+ * @param {Object} [extras.injection]      — injectionAnalyzer result ({ level, findings })
+ * @param {string} [extras.locale]         — Message locale (default "en")
+ * @returns {Object[]}      — Structured warnings, most relevant first
  */
-function generate(scores, gaps = [], intent = {}) {
+function generate(scores, gaps = [], intent = {}, {
+    placeholders = [],
+    conflicts = [],
+    drift = null,
+    sensitive = [],
+    injection = null,
+    locale = i18n.DEFAULT_LOCALE,
+} = {}) {
     const warnings = [];
+    const fixGap = gaps.length > 0 ? addConstraintAction(locale, gaps[0]) : editPromptAction(locale);
+
+    // ── Secrets or personal data left in the prompt ──
+    if (sensitive.length > 0) {
+        const kinds = [...new Set(sensitive.map((f) => f.type))];
+        warnings.push(warning(
+            locale, 'SENSITIVE_DATA', 'high', 'privacy', '🔒',
+            { kinds: kinds.map((type) => i18n.t(locale, `sensitive.${type}`)).join(', ') },
+            { type: 'redact_sensitive', label: i18n.t(locale, 'actions.redact_sensitive') }
+        ));
+    }
+
+    // ── Text that tries to steer the model away from the user's request ──
+    if (injection && injection.level !== 'none') {
+        const kinds = [...new Set(injection.findings.map((f) => f.type))];
+        warnings.push(warning(
+            locale, 'PROMPT_INJECTION', injection.level, 'injection', '🛡️',
+            { kinds: kinds.map((type) => i18n.t(locale, `injection.${type}`)).join(', ') },
+            { type: 'review_injection', label: i18n.t(locale, 'actions.review_injection') }
+        ));
+    }
+
+    // ── Intent drift — the refinement may answer a different question ──
+    if (drift?.driftDetected) {
+        warnings.push(warning(
+            locale, 'INTENT_DRIFT', 'high', 'drift', '🔀',
+            {
+                percent: Math.round((drift.coverage ?? drift.similarity ?? 0) * 100),
+                terms: (drift.lostTerms || []).slice(0, 5).map((t) => `"${t}"`).join(', '),
+            },
+            { type: 'restore_version', label: i18n.t(locale, 'actions.restore_version'), version: 'v0_raw' }
+        ));
+    }
+
+    // ── Contradictory constraints — the AI can't satisfy both ──
+    // (conflictAnalyzer already words the message in the request's locale)
+    for (const conflict of conflicts) {
+        warnings.push({
+            code: 'CONSTRAINT_CONFLICT',
+            severity: 'high',
+            dimension: 'constraints',
+            message: conflict.message,
+            text: `⚖️ ${conflict.message}`,
+            action: {
+                type: 'resolve_conflict',
+                category: conflict.category,
+                label: i18n.t(locale, 'actions.resolve_conflict', { label: conflict.label.toLowerCase() }),
+            },
+        });
+    }
 
     // ── Hallucination risk warnings ──
     if (scores.specificity <= 3) {
-        warnings.push(
-            '⚠️ High hallucination risk: Your prompt is very vague. ' +
-            'The AI may generate inaccurate or fabricated information.'
-        );
+        warnings.push(warning(locale, 'HALLUCINATION_RISK_HIGH', 'high', 'specificity', '⚠️', {}, fixGap));
     } else if (scores.specificity <= 5) {
-        warnings.push(
-            '⚠️ Moderate hallucination risk: Adding more specific details ' +
-            'will help the AI produce more accurate results.'
-        );
+        warnings.push(warning(locale, 'HALLUCINATION_RISK_MODERATE', 'medium', 'specificity', '⚠️', {}, fixGap));
     }
 
     // ── Incomplete constraint warnings ──
+    const missing = gaps.map((gap) => i18n.label(locale, gap).toLowerCase()).join(', ');
     if (gaps.length >= 4) {
-        warnings.push(
-            '🔶 Most constraints are missing. Consider specifying language, ' +
-            'difficulty level, output format, and scope for better results.'
-        );
+        warnings.push(warning(
+            locale, 'CONSTRAINTS_MOSTLY_MISSING', 'medium', 'completeness', '🔶', { missing },
+            addConstraintAction(locale, gaps[0])
+        ));
     } else if (gaps.length >= 2) {
-        warnings.push(
-            `🔶 Missing constraints: ${gaps.join(', ')}. ` +
-            'Filling these in will improve the AI response quality.'
-        );
+        warnings.push(warning(
+            locale, 'CONSTRAINTS_MISSING', 'low', 'completeness', '🔶', { gaps: missing },
+            addConstraintAction(locale, gaps[0])
+        ));
+    }
+
+    // ── Unfilled placeholders ──
+    if (placeholders.length > 0) {
+        warnings.push(warning(
+            locale, 'PLACEHOLDERS_UNFILLED', 'medium', 'placeholders', '🧩',
+            {
+                placeholders: placeholders.slice(0, 3).map((p) => p.text).join(', '),
+                more: placeholders.length > 3
+                    ? i18n.t(locale, 'fragments.andMore', { count: placeholders.length - 3 })
+                    : '',
+            },
+            editPromptAction(locale)
+        ));
     }
 
     // ── Low clarity warning ──
     if (scores.clarity <= 3) {
-        warnings.push(
-            '📝 Low clarity score. Try rephrasing your prompt with clearer ' +
-            'language and proper sentence structure.'
-        );
+        warnings.push(warning(locale, 'CLARITY_LOW', 'medium', 'clarity', '📝', {}, editPromptAction(locale)));
     }
 
     // ── Low intent alignment ──
     if (scores.intentAlignment <= 3) {
-        warnings.push(
-            '🎯 Unclear intent. Your prompt doesn\'t clearly express what ' +
-            'action the AI should take. Try starting with a verb like ' +
-            '"Write", "Explain", "Create", or "Compare".'
-        );
+        warnings.push(warning(locale, 'INTENT_UNCLEAR', 'medium', 'intentAlignment', '🎯', {}, editPromptAction(locale)));
     }
 
-    // ── Low confidence intent detection ──
-    if (intent.confidence === 'low') {
-        warnings.push(
-            '🔍 Intent detection confidence is low. The system may not ' +
-            'have correctly understood what you\'re asking for.'
-        );
+    // ── Mixed or low confidence intent detection ──
+    if (intent.secondary) {
+        warnings.push(warning(
+            locale, 'INTENT_MIXED', 'low', 'intent', '🧭',
+            {
+                primary: i18n.intentName(locale, intent.detected),
+                secondary: i18n.intentName(locale, intent.secondary),
+            },
+            editPromptAction(locale)
+        ));
+    } else if (intent.level === 'low') {
+        warnings.push(warning(locale, 'INTENT_LOW_CONFIDENCE', 'low', 'intent', '🔍', {}));
     }
 
-    // ── Very low total score ──
-    if (scores.total <= 12) {
-        warnings.push(
-            '⚡ Overall prompt quality is low. Significant improvements ' +
-            'are recommended before sending to an AI model.'
-        );
+    // ── Very low total score (bottom 30% of the profile's scale) ──
+    if (scores.total <= (scores.maxScore || 40) * 0.3) {
+        warnings.push(warning(locale, 'QUALITY_LOW', 'high', 'total', '⚡', {}));
     }
 
     return warnings;
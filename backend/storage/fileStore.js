@@ -0,0 +1,93 @@
+/**
+ * storage/fileStore.js — JSON-file prompt store
+ *
+ * Holds every prompt (and template) in memory and rewrites its JSON file
+ * after each save (write to a temp file, then rename). Suitable for local
+ * development and demos — not for concurrent multi-process use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listDocuments } = require('./query');
+const { createMemoryTemplates, mergeDocument } = require('./memoryStore');
+
+/**
+ * Load documents from disk, reviving date fields.
+ */
+function loadFile(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    const docs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return docs.map((doc) => {
+        const revived = {
+            ...doc,
+            createdAt: new Date(doc.createdAt),
+            updatedAt: new Date(doc.updatedAt),
+        };
+        if (doc.versions) {
+            revived.versions = doc.versions.map((v) => ({ ...v, createdAt: new Date(v.createdAt) }));
+        }
+        return revived;
+    });
+}
+
+/**
+ * Returns a persist() function that rewrites `filePath` with the documents
+ * from `getDocs()`. Writes are serialized so concurrent saves never interleave.
+ */
+function createWriter(filePath, getDocs) {
+    let writing = Promise.resolve();
+
+    return function persist() {
+        writing = writing.then(async () => {
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify([...getDocs()], null, 2));
+            await fs.promises.rename(tmpPath, filePath);
+        });
+        return writing;
+    };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath — Path of the prompts JSON file (created on first save)
+ * @param {string} [options.templatesPath] — Path of the templates JSON file
+ *                                            (default: templates.json next to filePath)
+ */
+function createFileStore({ filePath, templatesPath = path.join(path.dirname(filePath), 'templates.json') }) {
+    const entries = new Map();
+    for (const doc of loadFile(filePath)) {
+        entries.set(doc.promptId, doc);
+    }
+    const persist = createWriter(filePath, () => entries.values());
+
+    const templates = createMemoryTemplates(
+        loadFile(templatesPath),
+        () => persistTemplates()
+    );
+    const persistTemplates = createWriter(templatesPath, () => templates.entries.values());
+
+    return {
+        name: 'file',
+
+        async save(doc) {
+            const merged = mergeDocument(entries.get(doc.promptId), doc);
+            entries.set(doc.promptId, merged);
+            await persist();
+            return structuredClone(merged);
+        },
+
+        async find(promptId) {
+            const doc = entries.get(promptId);
+            return doc ? structuredClone(doc) : null;
+        },
+
+        async list(options) {
+            return listDocuments(entries.values(), options);
+        },
+
+        templates,
+    };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,96 @@
+/**
+ * storage/index.js — Prompt storage facade
+ *
+ * Every adapter implements the same interface:
+ *  - save(doc)                        → stored doc
+ *  - find(promptId)                   → doc | null
+ *  - list({ filter, cursor, limit })  → { items, nextCursor }
+ *  - templates.save(doc) / find(templateId) / list({ tag, intent }) / remove(templateId)
+ *
+ * Adapters: "mongo" (default), "memory" (LRU), "file" (JSON file).
+ * server.js picks one at startup and falls back to PROMPT_FALLBACK_STORE
+ * (default "memory") when MongoDB is unreachable.
+ *
+ * The facade never throws — failures are logged and reported as null,
+ * so callers can keep their graceful-degradation paths.
+ */
+
+const path = require('path');
+const { createMongoStore } = require('./mongoStore');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+const STORE_FACTORIES = {
+    mongo: () => createMongoStore(),
+    memory: () => createMemoryStore({
+        maxEntries: parseInt(process.env.MEMORY_STORE_MAX_ENTRIES, 10) || 500,
+    }),
+    file: () => createFileStore({
+        filePath: process.env.PROMPT_STORE_FILE || path.join(__dirname, '..', 'data', 'prompts.json'),
+    }),
+};
+
+let active = STORE_FACTORIES.mongo();
+
+/**
+ * Switch the active adapter by name.
+ * @param {string} name — One of "mongo", "memory", "file"
+ */
+function use(name) {
+    const factory = STORE_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown prompt store "${name}". Expected one of: ${Object.keys(STORE_FACTORIES).join(', ')}`);
+    }
+    active = factory();
+    return active.name;
+}
+
+function activeName() {
+    return active.name;
+}
+
+async function save(doc) {
+    try {
+        return await active.save(doc);
+    } catch (err) {
+        console.error(`Store (${active.name}) save error:`, err.message);
+        return null;
+    }
+}
+
+async function find(promptId) {
+    try {
+        return await active.find(promptId);
+    } catch (err) {
+        console.error(`Store (${active.name}) find error:`, err.message);
+        return null;
+    }
+}
+
+async function list(options) {
+    try {
+        return await active.list(options);
+    } catch (err) {
+        console.error(`Store (${active.name}) list error:`, err.message);
+        return null;
+    }
+}
+
+/* ── Templates ─────────────────────────────────────────── */
+async function callTemplates(method, ...args) {
+    try {
+        return await active.templates[method](...args);
+    } catch (err) {
+        console.error(`Store (${active.name}) template ${method} error:`, err.message);
+        return null;
+    }
+}
+
+const templates = {
+    save: (doc) => callTemplates('save', doc),
+    find: (templateId) => callTemplates('find', templateId),
+    list: (filter) => callTemplates('list', filter),
+    remove: (templateId) => callTemplates('remove', templateId),
+};
+
+module.exports = { use, activeName, save, find, list, templates };
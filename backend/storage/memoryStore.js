@@ -0,0 +1,107 @@
+/**
+ * storage/memoryStore.js — In-memory LRU prompt store
+ *
+ * Keeps the most recently used prompts in a Map (insertion order = recency).
+ * Used automatically when MongoDB is unreachable so the clarify/refine
+ * version chain keeps working in local development and demos.
+ */
+
+const { listDocuments, listTemplates } = require('./query');
+
+/**
+ * Merge an update into a stored document, stamping timestamps like mongoose does.
+ */
+function mergeDocument(existing, doc) {
+    const now = new Date();
+    const merged = {
+        ...(existing || {}),
+        ...structuredClone(doc),
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+    };
+    if (merged.versions) {
+        merged.versions = merged.versions.map((v) => ({
+            ...v,
+            createdAt: v.createdAt || now,
+        }));
+    }
+    return merged;
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=500] — Least recently used prompts are evicted beyond this
+ */
+function createMemoryStore({ maxEntries = 500 } = {}) {
+    const entries = new Map();
+
+    function touch(promptId, doc) {
+        entries.delete(promptId);
+        entries.set(promptId, doc);
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        async save(doc) {
+            const merged = mergeDocument(entries.get(doc.promptId), doc);
+            touch(doc.promptId, merged);
+            return structuredClone(merged);
+        },
+
+        async find(promptId) {
+            const doc = entries.get(promptId);
+            if (!doc) return null;
+            touch(promptId, doc);
+            return structuredClone(doc);
+        },
+
+        async list(options) {
+            return listDocuments(entries.values(), options);
+        },
+
+        // Templates are a small, curated set — never evicted
+        templates: createMemoryTemplates(),
+    };
+}
+
+/**
+ * Template collection kept in a plain Map.
+ * @param {Iterable<object>} [initial] — Documents to preload
+ * @param {Function} [onChange] — Called after every save/remove (used by the file store)
+ */
+function createMemoryTemplates(initial = [], onChange = async () => { }) {
+    const templates = new Map();
+    for (const doc of initial) templates.set(doc.templateId, doc);
+
+    return {
+        entries: templates,
+
+        async save(doc) {
+            const merged = mergeDocument(templates.get(doc.templateId), doc);
+            templates.set(doc.templateId, merged);
+            await onChange();
+            return structuredClone(merged);
+        },
+
+        async find(templateId) {
+            const doc = templates.get(templateId);
+            return doc ? structuredClone(doc) : null;
+        },
+
+        async list(filter) {
+            return listTemplates(templates.values(), filter);
+        },
+
+        async remove(templateId) {
+            const removed = templates.delete(templateId);
+            if (removed) await onChange();
+            return removed;
+        },
+    };
+}
+
+module.exports = { createMemoryStore, createMemoryTemplates, mergeDocument };
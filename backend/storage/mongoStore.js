@@ -0,0 +1,127 @@
+/**
+ * storage/mongoStore.js — MongoDB-backed prompt store (default)
+ *
+ * Thin wrapper around the Prompt and Template mongoose models implementing
+ * the storage adapter interface: save(doc), find(promptId), list(options),
+ * plus templates.{save, find, list, remove}.
+ * Methods may throw — the storage facade handles errors.
+ */
+
+// Try to load the models — may fail if mongoose is unavailable
+let Prompt;
+let Template;
+try {
+    Prompt = require('../models/Prompt');
+    Template = require('../models/Template');
+} catch (e) {
+    Prompt = null;
+    Template = null;
+}
+
+const LIST_FIELDS = 'promptId intent scores gaps versions createdAt updatedAt';
+
+/**
+ * Translate a store-neutral list filter into a Mongo query.
+ */
+function buildQuery(filter = {}) {
+    const query = {};
+
+    if (filter.intent) query['intent.detected'] = filter.intent;
+
+    if (filter.minScore != null || filter.maxScore != null) {
+        query['scores.total'] = {};
+        if (filter.minScore != null) query['scores.total'].$gte = filter.minScore;
+        if (filter.maxScore != null) query['scores.total'].$lte = filter.maxScore;
+    }
+
+    if (filter.from || filter.to) {
+        query.createdAt = {};
+        if (filter.from) query.createdAt.$gte = filter.from;
+        if (filter.to) query.createdAt.$lte = filter.to;
+    }
+
+    if (filter.gaps && filter.gaps.length > 0) query.gaps = { $all: filter.gaps };
+
+    if (filter.q) query.$text = { $search: filter.q };
+
+    return query;
+}
+
+function createMongoStore() {
+    return {
+        name: 'mongo',
+
+        async save(doc) {
+            if (!Prompt) return null;
+            const existing = await Prompt.findOne({ promptId: doc.promptId });
+            if (existing) {
+                Object.assign(existing, doc);
+                return existing.save();
+            }
+            return Prompt.create(doc);
+        },
+
+        async find(promptId) {
+            if (!Prompt) return null;
+            return Prompt.findOne({ promptId });
+        },
+
+        async list({ filter = {}, cursor = null, limit = 20 } = {}) {
+            if (!Prompt) return null;
+
+            const query = buildQuery(filter);
+            if (cursor) {
+                query.$or = [
+                    { createdAt: { $lt: cursor.createdAt } },
+                    { createdAt: cursor.createdAt, promptId: { $lt: cursor.promptId } },
+                ];
+            }
+
+            const docs = await Prompt.find(query)
+                .sort({ createdAt: -1, promptId: -1 })
+                .limit(limit + 1)
+                .select(LIST_FIELDS)
+                .lean();
+
+            const hasMore = docs.length > limit;
+            const items = hasMore ? docs.slice(0, limit) : docs;
+            const last = items[items.length - 1];
+            return {
+                items,
+                nextCursor: hasMore ? { createdAt: last.createdAt, promptId: last.promptId } : null,
+            };
+        },
+
+        templates: {
+            async save(doc) {
+                if (!Template) return null;
+                return Template.findOneAndUpdate(
+                    { templateId: doc.templateId },
+                    doc,
+                    { upsert: true, new: true, setDefaultsOnInsert: true }
+                ).lean();
+            },
+
+            async find(templateId) {
+                if (!Template) return null;
+                return Template.findOne({ templateId }).lean();
+            },
+
+            async list({ tag, intent } = {}) {
+                if (!Template) return null;
+                const query = {};
+                if (tag) query.tags = tag;
+                if (intent) query.targetIntent = intent;
+                return Template.find(query).sort({ name: 1 }).lean();
+            },
+
+            async remove(templateId) {
+                if (!Template) return false;
+                const { deletedCount } = await Template.deleteOne({ templateId });
+                return deletedCount > 0;
+            },
+        },
+    };
+}
+
+module.exports = { createMongoStore };
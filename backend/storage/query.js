@@ -0,0 +1,75 @@
+/**
+ * storage/query.js — In-process filtering shared by the memory and file stores
+ *
+ * Mirrors the semantics of the Mongo prompt listing query:
+ *  - newest first, ties broken by promptId (descending)
+ *  - keyset cursor { createdAt, promptId }
+ *  - q matches if ANY search term appears in any version text (like $text)
+ */
+
+function matchesFilter(doc, filter = {}) {
+    if (filter.intent && doc.intent?.detected !== filter.intent) return false;
+
+    const total = doc.scores?.total ?? 0;
+    if (filter.minScore != null && total < filter.minScore) return false;
+    if (filter.maxScore != null && total > filter.maxScore) return false;
+
+    const createdAt = new Date(doc.createdAt);
+    if (filter.from && createdAt < filter.from) return false;
+    if (filter.to && createdAt > filter.to) return false;
+
+    if (filter.gaps && filter.gaps.length > 0) {
+        const docGaps = doc.gaps || [];
+        if (!filter.gaps.every((g) => docGaps.includes(g))) return false;
+    }
+
+    if (filter.q) {
+        const terms = filter.q.toLowerCase().split(/\s+/).filter(Boolean);
+        const haystack = (doc.versions || []).map((v) => v.text.toLowerCase()).join('\n');
+        if (!terms.some((t) => haystack.includes(t))) return false;
+    }
+
+    return true;
+}
+
+function compareNewestFirst(a, b) {
+    const diff = new Date(b.createdAt) - new Date(a.createdAt);
+    if (diff !== 0) return diff;
+    return a.promptId < b.promptId ? 1 : a.promptId > b.promptId ? -1 : 0;
+}
+
+function isAfterCursor(doc, cursor) {
+    const createdAt = new Date(doc.createdAt).getTime();
+    const cursorTime = new Date(cursor.createdAt).getTime();
+    return createdAt < cursorTime || (createdAt === cursorTime && doc.promptId < cursor.promptId);
+}
+
+/**
+ * Filter, sort and paginate an iterable of prompt documents.
+ */
+function listDocuments(docs, { filter = {}, cursor = null, limit = 20 } = {}) {
+    const matched = [...docs]
+        .filter((doc) => matchesFilter(doc, filter))
+        .filter((doc) => !cursor || isAfterCursor(doc, cursor))
+        .sort(compareNewestFirst);
+
+    const items = matched.slice(0, limit).map((doc) => structuredClone(doc));
+    const last = items[items.length - 1];
+    return {
+        items,
+        nextCursor: matched.length > limit ? { createdAt: last.createdAt, promptId: last.promptId } : null,
+    };
+}
+
+/**
+ * Filter templates by tag / target intent, sorted by name.
+ */
+function listTemplates(docs, { tag, intent } = {}) {
+    return [...docs]
+        .filter((doc) => !tag || (doc.tags || []).includes(tag))
+        .filter((doc) => !intent || doc.targetIntent === intent)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((doc) => structuredClone(doc));
+}
+
+module.exports = { listDocuments, listTemplates };
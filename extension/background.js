@@ -11,7 +11,7 @@
 chrome.runtime.onInstalled.addListener((details) => {
     chrome.contextMenus.create({
         id: 'improve-prompt',
-        title: 'Improve Prompt',
+        title: chrome.i18n.getMessage('menuImprove'),
         contexts: ['selection'],
     });
     console.log('[Prompt Intelligence] Context menu registered.');
@@ -38,7 +38,7 @@ async function injectAndSend(tab, selectedText) {
         // Inject the content script + CSS programmatically
         await chrome.scripting.executeScript({
             target: { tabId: tab.id },
-            files: ['content.js'],
+            files: ['secretRules.js', 'secretScanner.js', 'content.js'],
         });
         await chrome.scripting.insertCSS({
             target: { tabId: tab.id },
@@ -6,6 +6,11 @@
  * displays analysis results, suggestion chips, and the refined prompt.
  *
  * Uses Shadow DOM for style isolation from the host page.
+ * Before anything is sent, the prompt is scanned locally for secrets and
+ * personal data (secretScanner.js); the user can redact them with
+ * placeholders that are swapped back when the result is pasted.
+ * Panel text comes from _locales/ via chrome.i18n; requests carry the
+ * same UI language so backend warnings and labels match it.
  *
  * Theme: "Warm Aurora" — amber / coral / rose
  */
@@ -19,13 +24,25 @@ if (window.__PI_CONTENT_LOADED__) {
   /* ── Configuration ─────────────────────────────────────── */
   const API_BASE = 'https://promptintel-livid.vercel.app/api';
 
+  /* ── Localization ──────────────────────────────────────── */
+  const UI_LOCALE = chrome.i18n.getUILanguage();
+  const JSON_HEADERS = { 'Content-Type': 'application/json', 'Accept-Language': UI_LOCALE };
+
+  function msg(key, substitutions) {
+    return chrome.i18n.getMessage(key, substitutions) || key;
+  }
+
   /* ── State ─────────────────────────────────────────────── */
   let panelHost = null;
   let shadowRoot = null;
   let currentPromptId = null;
   let originalText = '';
   let accumulatedSelections = {};
+  let conflictResolutions = {}; // Constraint category → value the user picked as winner
   let sourceElementInfo = null; // For paste-back feature
+  let analysisStream = null; // AbortController of the streaming analysis in flight
+  let redactions = []; // { placeholder, original, type } for values redacted before sending
+  let pendingScreening = null; // { text, findings, send } awaiting the user's redaction choice
 
   /* ── Listen for messages from background worker ────────── */
   chrome.runtime.onMessage.addListener((message) => {
@@ -146,6 +163,9 @@ if (window.__PI_CONTENT_LOADED__) {
     // Remove existing panel if any
     closePanel();
     accumulatedSelections = {};
+    conflictResolutions = {};
+    redactions = [];
+    pendingScreening = null;
 
     // Create host element
     panelHost = document.createElement('div');
@@ -175,11 +195,13 @@ if (window.__PI_CONTENT_LOADED__) {
     // Wire event listeners
     wireEvents(panel);
 
-    // Send to backend for analysis
-    analyzePrompt(text);
+    // Check for secrets locally, then send to backend for analysis
+    screenAndAnalyze(text);
   }
 
   function closePanel() {
+    closeAnalysisStream();
+
     // Remove ALL existing panel hosts to prevent stacking
     document.querySelectorAll('#pi-panel-host').forEach((el) => el.remove());
 
@@ -219,16 +241,27 @@ if (window.__PI_CONTENT_LOADED__) {
           <path d="M2 17l10 5 10-5"/>
           <path d="M2 12l10 5 10-5"/>
         </svg>
-        <span class="pi-title">Prompt Intelligence</span>
+        <span class="pi-title">${msg('panelTitle')}</span>
       </div>
-      <button class="pi-close" aria-label="Close">&times;</button>
+      <button class="pi-close" aria-label="${msg('close')}">&times;</button>
     </div>
 
     <div class="pi-body">
       <!-- Loading state -->
       <div class="pi-loading" id="pi-loading">
         <div class="pi-spinner"></div>
-        <span>Analyzing your prompt…</span>
+        <span>${msg('analyzing')}</span>
+      </div>
+
+      <!-- Secrets / personal data found locally — offered for redaction before sending -->
+      <div class="pi-sensitive" id="pi-sensitive" style="display:none;">
+        <div class="pi-section__label">${msg('sectionSensitive')}</div>
+        <p class="pi-sensitive__hint">${msg('sensitiveHint')}</p>
+        <div class="pi-sensitive__list" id="pi-sensitive-list"></div>
+        <div class="pi-actions">
+          <button class="pi-btn pi-btn--primary" id="pi-redact">${escapeHtml(msg('redactAndAnalyze'))}</button>
+          <button class="pi-btn pi-btn--secondary" id="pi-send-as-is">${msg('sendAsIs')}</button>
+        </div>
       </div>
 
       <!-- Results section (hidden until analysis completes) -->
@@ -237,66 +270,97 @@ if (window.__PI_CONTENT_LOADED__) {
         <!-- Original prompt -->
         <div class="pi-section">
           <div class="pi-section__label" style="display:flex;align-items:center;justify-content:space-between;">
-            Your Prompt
+            ${msg('sectionYourPrompt')}
             <div style="display:flex;align-items:center;gap:6px;">
-              <button class="pi-btn pi-btn--edit pi-btn--sm" id="pi-history" title="View History">
+              <button class="pi-btn pi-btn--edit pi-btn--sm" id="pi-templates" title="${msg('templatesTooltip')}">
+                <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2">
+                  <rect x="3" y="3" width="18" height="18" rx="2"/>
+                  <path d="M3 9h18M9 21V9"/>
+                </svg>
+                ${msg('templates')}
+              </button>
+              <button class="pi-btn pi-btn--edit pi-btn--sm" id="pi-history" title="${msg('historyTooltip')}">
                 <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2">
                   <circle cx="12" cy="12" r="10"/>
                   <polyline points="12 6 12 12 16 14"/>
                 </svg>
-                History
+                ${msg('history')}
               </button>
               <button class="pi-btn pi-btn--edit pi-btn--sm" id="pi-edit-original">
                 <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2">
                   <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
                   <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
                 </svg>
-                Edit
+                ${msg('edit')}
               </button>
             </div>
           </div>
           <div class="pi-original" id="pi-original-text"></div>
           <textarea class="pi-original-edit" id="pi-original-edit" style="display:none;" rows="3"></textarea>
           <button class="pi-btn pi-btn--primary pi-btn--sm" id="pi-reanalyze" style="display:none;margin-top:6px;">
-            Re-analyze
+            ${msg('reanalyze')}
           </button>
         </div>
 
         <!-- Intent -->
         <div class="pi-section">
-          <div class="pi-section__label">Detected Intent</div>
+          <div class="pi-section__label">${msg('sectionIntent')}</div>
           <div class="pi-intent-row">
             <span class="pi-badge pi-badge--intent" id="pi-intent"></span>
+            <span class="pi-badge pi-badge--secondary" id="pi-intent-secondary" style="display:none"></span>
             <span class="pi-badge pi-badge--confidence" id="pi-confidence"></span>
           </div>
         </div>
 
         <!-- Score -->
         <div class="pi-section">
-          <div class="pi-section__label">Quality Score</div>
+          <div class="pi-section__label">${msg('sectionScore')}</div>
           <div class="pi-score-total" id="pi-score-total"></div>
           <div class="pi-score-bars" id="pi-score-bars"></div>
         </div>
 
         <!-- Warnings -->
         <div class="pi-section" id="pi-warnings-section" style="display:none;">
-          <div class="pi-section__label">Warnings</div>
+          <div class="pi-section__label">${msg('sectionWarnings')}</div>
           <div class="pi-warnings" id="pi-warnings"></div>
         </div>
 
+        <!-- Injection / jailbreak text found in the prompt -->
+        <div class="pi-section" id="pi-injection-section" style="display:none;">
+          <div class="pi-section__label" style="display:flex;align-items:center;justify-content:space-between;">
+            ${msg('sectionInjection')}
+            <span class="pi-injection-level" id="pi-injection-level"></span>
+          </div>
+          <div class="pi-injection" id="pi-injection"></div>
+        </div>
+
+        <!-- Conflicting constraints — asks which value wins before refining -->
+        <div class="pi-section" id="pi-conflicts-section" style="display:none;">
+          <div class="pi-section__label">${msg('sectionConflicts')}</div>
+          <div class="pi-conflicts" id="pi-conflicts"></div>
+        </div>
+
+        <!-- AI analysis pending (streaming) -->
+        <div class="pi-ai-pending" id="pi-ai-pending" style="display:none;">
+          <div class="pi-spinner pi-spinner--sm"></div>
+          <span>${msg('generatingSuggestions')}</span>
+        </div>
+
         <!-- Suggestion Chips -->
         <div class="pi-section" id="pi-chips-section" style="display:none;">
-          <div class="pi-section__label">Fill Missing Constraints</div>
+          <div class="pi-section__label">${msg('sectionConstraints')}</div>
           <div class="pi-chips-container" id="pi-chips"></div>
           <button class="pi-btn pi-btn--primary" id="pi-apply-chips" style="display:none;">
-            Apply Selections
+            ${msg('applySelections')}
           </button>
         </div>
 
         <!-- Refined Prompt -->
         <div class="pi-section" id="pi-refined-section" style="display:none;">
-          <div class="pi-section__label">Improved Prompt</div>
+          <div class="pi-section__label">${msg('sectionImproved')}</div>
           <div class="pi-refined" id="pi-refined-text"></div>
+          <div class="pi-drift" id="pi-drift" style="display:none;"></div>
+          <div class="pi-drift-timeline" id="pi-drift-timeline" style="display:none;"></div>
           <div class="pi-actions">
             <button class="pi-btn pi-btn--paste" id="pi-paste">
               <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2">
@@ -304,26 +368,30 @@ if (window.__PI_CONTENT_LOADED__) {
                 <rect x="8" y="2" width="8" height="4" rx="1"/>
                 <path d="M12 11v6m-3-3l3 3 3-3"/>
               </svg>
-              Paste
+              ${msg('paste')}
             </button>
             <button class="pi-btn pi-btn--copy" id="pi-copy">
               <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2">
                 <rect x="9" y="9" width="13" height="13" rx="2"/>
                 <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
               </svg>
-              Copy
+              ${msg('copy')}
             </button>
             <button class="pi-btn pi-btn--edit" id="pi-edit">
               <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
                 <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
               </svg>
-              Edit
+              ${msg('edit')}
             </button>
             <button class="pi-btn pi-btn--secondary" id="pi-refine-more">
-              Refine Further
+              ${msg('refineFurther')}
             </button>
           </div>
+          <label class="pi-restore-toggle" id="pi-restore-row" style="display:none;">
+            <input type="checkbox" id="pi-restore-redacted" checked>
+            ${msg('restoreOnPaste')}
+          </label>
         </div>
 
       </div>
@@ -332,7 +400,7 @@ if (window.__PI_CONTENT_LOADED__) {
       <div class="pi-error" id="pi-error" style="display:none;">
         <span>⚠️ </span>
         <span id="pi-error-msg"></span>
-        <button class="pi-btn pi-btn--secondary" id="pi-retry">Retry</button>
+        <button class="pi-btn pi-btn--secondary" id="pi-retry">${msg('retry')}</button>
       </div>
 
       <!-- History view (hidden by default) -->
@@ -343,10 +411,10 @@ if (window.__PI_CONTENT_LOADED__) {
               <path d="M19 12H5"/>
               <polyline points="12 19 5 12 12 5"/>
             </svg>
-            Back
+            ${msg('back')}
           </button>
-          <span class="pi-history-title">History</span>
-          <button class="pi-btn pi-btn--sm pi-btn--danger" id="pi-history-clear" title="Clear all">
+          <span class="pi-history-title">${msg('history')}</span>
+          <button class="pi-btn pi-btn--sm pi-btn--danger" id="pi-history-clear" title="${msg('clearAll')}">
             <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2">
               <polyline points="3 6 5 6 21 6"/>
               <path d="M19 6l-1 14a2 2 0 01-2 2H8a2 2 0 01-2-2L5 6"/>
@@ -359,7 +427,32 @@ if (window.__PI_CONTENT_LOADED__) {
             <circle cx="12" cy="12" r="10"/>
             <polyline points="12 6 12 12 16 14"/>
           </svg>
-          <p>No history yet</p>
+          <p>${msg('historyEmpty')}</p>
+        </div>
+      </div>
+
+      <!-- Templates view (hidden by default) -->
+      <div class="pi-history-view" id="pi-templates-view" style="display:none;">
+        <div class="pi-history-header">
+          <button class="pi-btn pi-btn--sm pi-btn--secondary" id="pi-templates-back">
+            <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M19 12H5"/>
+              <polyline points="12 19 5 12 12 5"/>
+            </svg>
+            ${msg('back')}
+          </button>
+          <span class="pi-history-title">${msg('templates')}</span>
+          <span></span>
+        </div>
+        <div class="pi-history-list" id="pi-templates-list"></div>
+        <div class="pi-template-form" id="pi-template-form" style="display:none;">
+          <div class="pi-template-form__name" id="pi-template-form-name"></div>
+          <div class="pi-template-form__body" id="pi-template-form-body"></div>
+          <div id="pi-template-vars"></div>
+          <button class="pi-btn pi-btn--primary" id="pi-template-use">${escapeHtml(msg('insertAndAnalyze'))}</button>
+        </div>
+        <div class="pi-history-empty" id="pi-templates-empty" style="display:none;">
+          <p id="pi-templates-empty-msg">${msg('templatesEmpty')}</p>
         </div>
       </div>
     </div>
@@ -380,6 +473,7 @@ if (window.__PI_CONTENT_LOADED__) {
       const loading = panel.querySelector('#pi-loading');
       const error = panel.querySelector('#pi-error');
       const historyView = panel.querySelector('#pi-history-view');
+      panel.querySelector('#pi-templates-view').style.display = 'none';
       results.style.display = 'none';
       loading.style.display = 'none';
       error.style.display = 'none';
@@ -400,6 +494,41 @@ if (window.__PI_CONTENT_LOADED__) {
       });
     });
 
+    // ─── Templates button — browse the team template library ───
+    panel.querySelector('#pi-templates').addEventListener('click', () => {
+      panel.querySelector('#pi-results').style.display = 'none';
+      panel.querySelector('#pi-loading').style.display = 'none';
+      panel.querySelector('#pi-error').style.display = 'none';
+      panel.querySelector('#pi-history-view').style.display = 'none';
+      panel.querySelector('#pi-templates-view').style.display = 'block';
+      loadTemplates(panel);
+    });
+
+    // ─── Templates back button ───
+    panel.querySelector('#pi-templates-back').addEventListener('click', () => {
+      const form = panel.querySelector('#pi-template-form');
+      if (form.style.display !== 'none') {
+        // Back from the variable form → template list
+        form.style.display = 'none';
+        panel.querySelector('#pi-templates-list').style.display = 'block';
+        return;
+      }
+      panel.querySelector('#pi-templates-view').style.display = 'none';
+      panel.querySelector('#pi-results').style.display = 'block';
+    });
+
+    // ─── Insert & analyze the selected template ───
+    panel.querySelector('#pi-template-use').addEventListener('click', () => {
+      const form = panel.querySelector('#pi-template-form');
+      const templateId = form.getAttribute('data-template-id');
+      const variables = {};
+      form.querySelectorAll('.pi-template-var').forEach((input) => {
+        variables[input.getAttribute('data-var')] = input.value.trim();
+      });
+      panel.querySelector('#pi-templates-view').style.display = 'none';
+      screenVariables(variables, (screened) => useTemplate(panel, templateId, screened));
+    });
+
     // ─── Edit original prompt (textarea swap) ───
     panel.querySelector('#pi-edit-original').addEventListener('click', () => {
       const origDiv = panel.querySelector('#pi-original-text');
@@ -420,7 +549,7 @@ if (window.__PI_CONTENT_LOADED__) {
             <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
             <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
           </svg>
-          Edit`;
+          ${msg('edit')}`;
       } else {
         // Edit → swap to textarea
         textarea.value = origDiv.textContent;
@@ -434,7 +563,7 @@ if (window.__PI_CONTENT_LOADED__) {
             <polyline points="17 21 17 13 7 13 7 21"/>
             <polyline points="7 3 7 8 15 8"/>
           </svg>
-          Done`;
+          ${msg('done')}`;
       }
     });
 
@@ -455,12 +584,33 @@ if (window.__PI_CONTENT_LOADED__) {
           <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
           <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
         </svg>
-        Edit`;
+        ${msg('edit')}`;
 
       // Update state and re-analyze
       originalText = editedText;
       accumulatedSelections = {};
-      analyzePrompt(editedText);
+      conflictResolutions = {};
+      screenAndAnalyze(editedText);
+    });
+
+    // ─── Sensitive data — redact the checked findings, or send unchanged ───
+    panel.querySelector('#pi-redact').addEventListener('click', () => {
+      if (!pendingScreening) return;
+      const { text, findings, send } = pendingScreening;
+      const chosen = [...panel.querySelectorAll('#pi-sensitive-list input:checked')]
+        .map((box) => findings[Number(box.value)]);
+      const result = PISecretScanner.redact(text, chosen, redactions);
+      redactions = result.replacements;
+      pendingScreening = null;
+      panel.querySelector('#pi-restore-row').style.display = redactions.length > 0 ? 'flex' : 'none';
+      send(result.text);
+    });
+
+    panel.querySelector('#pi-send-as-is').addEventListener('click', () => {
+      if (!pendingScreening) return;
+      const { text, send } = pendingScreening;
+      pendingScreening = null;
+      send(text);
     });
 
     // ─── Paste button — paste refined text into source element ───
@@ -472,23 +622,24 @@ if (window.__PI_CONTENT_LOADED__) {
         ? refinedEl.innerText
         : refinedEl.textContent;
       const btn = panel.querySelector('#pi-paste');
+      const output = restoreRedacted(text);
 
-      const success = pasteToSource(text);
+      const success = pasteToSource(output);
 
       if (success) {
-        btn.textContent = '✓ Pasted!';
+        btn.textContent = msg('pasted');
         btn.classList.add('pi-btn--pasted');
         setTimeout(() => {
-          btn.innerHTML = `${PASTE_SVG} Paste`;
+          btn.innerHTML = `${PASTE_SVG} ${msg('paste')}`;
           btn.classList.remove('pi-btn--pasted');
         }, 2000);
       } else {
         // Fallback: copy to clipboard
-        navigator.clipboard.writeText(text).then(() => {
-          btn.textContent = '📋 Copied!';
+        navigator.clipboard.writeText(output).then(() => {
+          btn.textContent = msg('copiedToClipboard');
           btn.classList.add('pi-btn--pasted');
           setTimeout(() => {
-            btn.innerHTML = `${PASTE_SVG} Paste`;
+            btn.innerHTML = `${PASTE_SVG} ${msg('paste')}`;
             btn.classList.remove('pi-btn--pasted');
           }, 2000);
         });
@@ -503,12 +654,12 @@ if (window.__PI_CONTENT_LOADED__) {
       const refined = refinedEl.getAttribute('contenteditable') === 'true'
         ? refinedEl.innerText
         : refinedEl.textContent;
-      navigator.clipboard.writeText(refined).then(() => {
+      navigator.clipboard.writeText(restoreRedacted(refined)).then(() => {
         const btn = panel.querySelector('#pi-copy');
-        btn.textContent = '✓ Copied!';
+        btn.textContent = msg('copied');
         btn.classList.add('pi-btn--copied');
         setTimeout(() => {
-          btn.innerHTML = `${COPY_SVG} Copy`;
+          btn.innerHTML = `${COPY_SVG} ${msg('copy')}`;
           btn.classList.remove('pi-btn--copied');
         }, 2000);
       });
@@ -527,13 +678,13 @@ if (window.__PI_CONTENT_LOADED__) {
         // Save mode
         refinedEl.setAttribute('contenteditable', 'false');
         refinedEl.classList.remove('pi-refined--editing');
-        editBtn.innerHTML = `${EDIT_SVG} Edit`;
+        editBtn.innerHTML = `${EDIT_SVG} ${msg('edit')}`;
       } else {
         // Edit mode
         refinedEl.setAttribute('contenteditable', 'true');
         refinedEl.classList.add('pi-refined--editing');
         refinedEl.focus();
-        editBtn.innerHTML = `${SAVE_SVG} Save`;
+        editBtn.innerHTML = `${SAVE_SVG} ${msg('save')}`;
       }
     });
 
@@ -542,15 +693,21 @@ if (window.__PI_CONTENT_LOADED__) {
       applyClarifications();
     });
 
-    // Refine further button
-    panel.querySelector('#pi-refine-more').addEventListener('click', () => {
+    // Refine further button — settle conflicting chips first
+    const refineMore = async () => {
       const refinedEl = panel.querySelector('#pi-refined-text');
       const currentText = refinedEl.getAttribute('contenteditable') === 'true'
         ? refinedEl.innerText
         : refinedEl.textContent;
       const constraints = gatherSelections();
+      const conflicts = await fetchConflicts(constraints);
+      if (conflicts.length > 0) {
+        showConflicts(conflicts, refineMore);
+        return;
+      }
       refinePrompt(currentText, constraints);
-    });
+    };
+    panel.querySelector('#pi-refine-more').addEventListener('click', refineMore);
 
     // Retry button
     panel.querySelector('#pi-retry').addEventListener('click', () => {
@@ -558,21 +715,212 @@ if (window.__PI_CONTENT_LOADED__) {
     });
   }
 
+  /* ════════════════════════════════════════════════════════
+     Sensitive Data Screening
+     ════════════════════════════════════════════════════════ */
+
+  // Nothing leaves the page until the user has seen what the local scan found
+  function screenAndAnalyze(text) {
+    const findings = window.PISecretScanner ? PISecretScanner.scan(text) : [];
+    if (findings.length === 0) {
+      analyzePrompt(text);
+      return;
+    }
+    showSensitive(text, findings);
+  }
+
+  // The screened prompt becomes the one being worked on
+  function analyzeScreened(text) {
+    originalText = text;
+    analyzePrompt(text);
+  }
+
+  // Template variable values get the same screening before they're rendered.
+  // Each value is scanned on its own and shown as one list; the values are
+  // joined by newlines (inputs are single-line) so redaction can split them back.
+  function screenVariables(variables, send) {
+    const names = Object.keys(variables);
+    const findings = [];
+    let offset = 0;
+    for (const name of names) {
+      const value = variables[name];
+      const found = window.PISecretScanner ? PISecretScanner.scan(value) : [];
+      found.forEach((f) => findings.push({ ...f, start: f.start + offset, end: f.end + offset }));
+      offset += value.length + 1;
+    }
+    if (findings.length === 0) {
+      send(variables);
+      return;
+    }
+    const joined = names.map((name) => variables[name]).join('\n');
+    showSensitive(joined, findings, (text) => {
+      const values = text.split('\n');
+      send(Object.fromEntries(names.map((name, i) => [name, values[i]])));
+    });
+  }
+
+  // `send` gets the text once the user has redacted it or chosen to send it as is
+  function showSensitive(text, findings, send = analyzeScreened) {
+    closeAnalysisStream();
+    pendingScreening = { text, findings, send };
+    shadowRoot.querySelector('#pi-loading').style.display = 'none';
+    shadowRoot.querySelector('#pi-results').style.display = 'none';
+    shadowRoot.querySelector('#pi-error').style.display = 'none';
+
+    const list = shadowRoot.querySelector('#pi-sensitive-list');
+    list.innerHTML = '';
+    findings.forEach((finding, i) => {
+      const item = document.createElement('label');
+      item.className = 'pi-sensitive__item';
+
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = true;
+      box.value = String(i);
+      item.appendChild(box);
+
+      const kind = document.createElement('span');
+      kind.className = 'pi-sensitive__kind';
+      kind.textContent = msg(`sensitive_${finding.type}`);
+      item.appendChild(kind);
+
+      // Masked — the panel shouldn't put the secret on screen either
+      const preview = document.createElement('code');
+      preview.className = 'pi-sensitive__preview';
+      preview.textContent = PISecretScanner.mask(finding.text);
+      item.appendChild(preview);
+
+      list.appendChild(item);
+    });
+    shadowRoot.querySelector('#pi-sensitive').style.display = 'block';
+  }
+
+  // Put redacted values back into text leaving the panel, unless the user opted out
+  function restoreRedacted(text) {
+    const restore = shadowRoot.querySelector('#pi-restore-redacted');
+    if (redactions.length === 0 || !restore.checked) return text;
+    return PISecretScanner.restore(text, redactions);
+  }
+
   /* ════════════════════════════════════════════════════════
      API Calls
      ════════════════════════════════════════════════════════ */
 
-  async function analyzePrompt(text) {
+  function analyzePrompt(text) {
+    showLoading();
+    closeAnalysisStream();
+
+    // Stream rule-based results first, then the AI analysis when it arrives.
+    // POSTed rather than EventSource, so the prompt stays out of URLs and logs.
+    const stream = new AbortController();
+    analysisStream = stream;
+    let rulesData = null;
+    let finished = false;
+
+    const handlers = {
+      rules(data) {
+        rulesData = data;
+        currentPromptId = data.promptId;
+        // Intent, scores and warnings only — chips wait for the AI gaps
+        renderResults({
+          intent: data.intent,
+          scores: data.scores,
+          warnings: data.warnings,
+          conflicts: data.conflicts,
+          placeholders: data.placeholders,
+          injection: data.injection,
+        });
+        setAIPending(true);
+      },
+      analysis(data) {
+        finished = true;
+        currentPromptId = data.promptId;
+        setAIPending(false);
+        renderResults(data);
+        saveToHistory(text, data);
+      },
+      error(data) {
+        finished = true;
+        setAIPending(false);
+        showError(data.error || msg('analysisFailed'));
+      },
+    };
+
+    readEventStream(`${API_BASE}/prompt/stream`, { text, locale: UI_LOCALE }, stream.signal, (event, data) => {
+      handlers[event]?.(data);
+    })
+      .catch(() => { })
+      .then(() => {
+        // Superseded by a newer analysis, or the panel was closed
+        if (stream.signal.aborted) return;
+        closeAnalysisStream();
+        if (finished) return;
+        if (rulesData) {
+          // Cut off before the AI analysis arrived: the server still finishes
+          // and stores this prompt under rulesData.promptId, so show the
+          // rule-based result (gaps and chips included) rather than analyze it again
+          setAIPending(false);
+          renderResults(rulesData);
+          saveToHistory(text, rulesData);
+          return;
+        }
+        // Stream unavailable (proxy, older server) — fall back to a single request
+        analyzePromptOnce(text);
+      });
+  }
+
+  // POST `body` and pass each server-sent event to onEvent(name, data) as it
+  // arrives; resolves when the stream ends, rejects if it can't be read
+  async function readEventStream(url, body, signal, onEvent) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { ...JSON_HEADERS, Accept: 'text/event-stream' },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!res.ok || !res.body) throw new Error(msg('serverError', [String(res.status)]));
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value.replace(/\r\n/g, '\n');
+
+      // Events are separated by a blank line: "event: rules\ndata: {…}\n\n"
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        }
+        if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+      }
+    }
+  }
+
+  function closeAnalysisStream() {
+    if (analysisStream) {
+      analysisStream.abort();
+      analysisStream = null;
+    }
+  }
+
+  async function analyzePromptOnce(text) {
     showLoading();
 
     try {
       const res = await fetch(`${API_BASE}/prompt`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text }),
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ text, locale: UI_LOCALE }),
       });
 
-      if (!res.ok) throw new Error(`Server returned ${res.status}`);
+      if (!res.ok) throw new Error(msg('serverError', [String(res.status)]));
 
       const data = await res.json();
       currentPromptId = data.promptId;
@@ -587,19 +935,27 @@ if (window.__PI_CONTENT_LOADED__) {
     const newSelections = gatherSelections();
     if (Object.keys(newSelections).length === 0) return;
 
-    // Deep-merge new array selections with previously applied ones
+    // Deep-merge new array selections with previously applied ones;
+    // a resolved conflict replaces the category's values with the winner
     for (const [gap, values] of Object.entries(newSelections)) {
-      const prev = accumulatedSelections[gap] || [];
+      const prev = conflictResolutions[gap] ? [] : (accumulatedSelections[gap] || []);
       const merged = [...new Set([...prev, ...values])];
       accumulatedSelections[gap] = merged;
     }
 
+    // Ask which value wins before sending contradictory constraints
+    const conflicts = await fetchConflicts(accumulatedSelections);
+    if (conflicts.length > 0) {
+      showConflicts(conflicts, applyClarifications);
+      return;
+    }
+
     showLoading();
 
     try {
       const res = await fetch(`${API_BASE}/clarify`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: JSON_HEADERS,
         body: JSON.stringify({
           promptId: currentPromptId,
           selections: accumulatedSelections,
@@ -607,7 +963,7 @@ if (window.__PI_CONTENT_LOADED__) {
         }),
       });
 
-      if (!res.ok) throw new Error(`Server returned ${res.status}`);
+      if (!res.ok) throw new Error(msg('serverError', [String(res.status)]));
 
       const data = await res.json();
       renderResults(data, true);
@@ -616,13 +972,33 @@ if (window.__PI_CONTENT_LOADED__) {
     }
   }
 
+  async function fetchConflicts(selections) {
+    try {
+      const res = await fetch(`${API_BASE}/conflicts`, {
+        method: 'POST',
+        headers: JSON_HEADERS,
+        body: JSON.stringify({
+          promptId: currentPromptId,
+          text: originalText,
+          selections,
+        }),
+      });
+      if (!res.ok) return [];
+      const data = await res.json();
+      return data.conflicts || [];
+    } catch {
+      // Conflict check is advisory — never block clarify/refine on it
+      return [];
+    }
+  }
+
   async function refinePrompt(text, constraints = {}) {
     showLoading();
 
     try {
       const res = await fetch(`${API_BASE}/refine`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: JSON_HEADERS,
         body: JSON.stringify({
           promptId: currentPromptId,
           text,
@@ -631,7 +1007,7 @@ if (window.__PI_CONTENT_LOADED__) {
         }),
       });
 
-      if (!res.ok) throw new Error(`Server returned ${res.status}`);
+      if (!res.ok) throw new Error(msg('serverError', [String(res.status)]));
 
       const data = await res.json();
       renderRefined(data);
@@ -651,14 +1027,20 @@ if (window.__PI_CONTENT_LOADED__) {
     loading.style.display = 'flex';
     results.style.display = 'none';
     error.style.display = 'none';
+    shadowRoot.querySelector('#pi-sensitive').style.display = 'none';
   }
 
-  function showError(msg) {
+  function showError(message) {
     const loading = shadowRoot.querySelector('#pi-loading');
     const error = shadowRoot.querySelector('#pi-error');
     loading.style.display = 'none';
     error.style.display = 'flex';
-    shadowRoot.querySelector('#pi-error-msg').textContent = msg;
+    shadowRoot.querySelector('#pi-error-msg').textContent = message;
+  }
+
+  function setAIPending(pending) {
+    const el = shadowRoot?.querySelector('#pi-ai-pending');
+    if (el) el.style.display = pending ? 'flex' : 'none';
   }
 
   function renderResults(data, isClarified = false) {
@@ -667,16 +1049,28 @@ if (window.__PI_CONTENT_LOADED__) {
     loading.style.display = 'none';
     results.style.display = 'block';
 
-    // Original prompt
-    shadowRoot.querySelector('#pi-original-text').textContent = originalText;
+    // Original prompt (placeholders refer to it unless this is a clarify result)
+    renderWithPlaceholders(
+      shadowRoot.querySelector('#pi-original-text'),
+      originalText,
+      isClarified ? [] : data.placeholders
+    );
 
     // Intent
     if (data.intent) {
-      shadowRoot.querySelector('#pi-intent').textContent =
-        (data.intent.detected || 'general').replace(/_/g, ' ');
+      shadowRoot.querySelector('#pi-intent').textContent = intentLabel(data.intent.detected);
+      const secondaryEl = shadowRoot.querySelector('#pi-intent-secondary');
+      secondaryEl.style.display = data.intent.secondary ? '' : 'none';
+      secondaryEl.textContent = data.intent.secondary
+        ? `+ ${intentLabel(data.intent.secondary)}`
+        : '';
+      const level = data.intent.level || 'low';
+      const levelText = msg(`level${level.charAt(0).toUpperCase()}${level.slice(1)}`);
       const confEl = shadowRoot.querySelector('#pi-confidence');
-      confEl.textContent = data.intent.confidence || 'low';
-      confEl.className = `pi-badge pi-badge--confidence pi-badge--${data.intent.confidence || 'low'}`;
+      confEl.textContent = typeof data.intent.confidence === 'number'
+        ? `${levelText} · ${Math.round(data.intent.confidence * 100)}%`
+        : levelText;
+      confEl.className = `pi-badge pi-badge--confidence pi-badge--${level}`;
     }
 
     // Scores
@@ -685,24 +1079,27 @@ if (window.__PI_CONTENT_LOADED__) {
     }
 
     // Warnings
-    const warningsSection = shadowRoot.querySelector('#pi-warnings-section');
-    const warningsEl = shadowRoot.querySelector('#pi-warnings');
-    if (data.warnings && data.warnings.length > 0) {
-      warningsSection.style.display = 'block';
-      warningsEl.innerHTML = data.warnings.map((w) =>
-        `<div class="pi-warning-item">${escapeHtml(w)}</div>`
-      ).join('');
-    } else {
-      warningsSection.style.display = 'none';
-    }
+    renderWarnings(data.warnings);
+
+    // Injection spans refer to the original prompt, not a clarified rewrite
+    if (!isClarified) renderInjection(data.injection);
+
+    // Conflicting constraints (the user picks winners here or before refining)
+    showConflicts(data.conflicts || []);
+
+    // Drift is only reported by refine
+    renderDrift(null);
+    shadowRoot.querySelector('#pi-drift-timeline').style.display = 'none';
 
     // Suggestion chips
     const chipsSection = shadowRoot.querySelector('#pi-chips-section');
     const chipsEl = shadowRoot.querySelector('#pi-chips');
-    if (data.gaps && data.gaps.length > 0 && data.suggestions) {
+    const detected = data.detectedConstraints || {};
+    const hasGaps = data.gaps && data.gaps.length > 0 && data.suggestions;
+    if (hasGaps || Object.keys(detected).length > 0) {
       chipsSection.style.display = 'block';
       chipsEl.innerHTML = '';
-      renderChips(data.gaps, data.suggestions);
+      renderChips(data.gaps || [], data.suggestions || {}, data.constraintLabels, detected, data.constraintOptions);
       shadowRoot.querySelector('#pi-apply-chips').style.display = 'inline-flex';
     } else {
       chipsSection.style.display = 'none';
@@ -712,7 +1109,7 @@ if (window.__PI_CONTENT_LOADED__) {
     const refinedSection = shadowRoot.querySelector('#pi-refined-section');
     if (isClarified && data.refined) {
       refinedSection.style.display = 'block';
-      shadowRoot.querySelector('#pi-refined-text').textContent = data.refined;
+      renderWithPlaceholders(shadowRoot.querySelector('#pi-refined-text'), data.refined, data.placeholders);
     } else if (data.versions && data.versions.length > 1) {
       refinedSection.style.display = 'block';
       shadowRoot.querySelector('#pi-refined-text').textContent =
@@ -722,6 +1119,147 @@ if (window.__PI_CONTENT_LOADED__) {
     }
   }
 
+  /**
+   * Warnings are { code, severity, message, text, action? } objects; older
+   * backends and saved history send plain strings, which render as-is.
+   */
+  function renderWarnings(warnings) {
+    const warningsSection = shadowRoot.querySelector('#pi-warnings-section');
+    const warningsEl = shadowRoot.querySelector('#pi-warnings');
+    if (!warnings || warnings.length === 0) {
+      warningsSection.style.display = 'none';
+      return;
+    }
+
+    warningsSection.style.display = 'block';
+    warningsEl.innerHTML = '';
+    warnings.forEach((w) => {
+      const item = document.createElement('div');
+      const severity = typeof w === 'object' && w.severity ? w.severity : 'medium';
+      item.className = `pi-warning-item pi-warning-item--${severity}`;
+      if (w.code) item.setAttribute('data-code', w.code);
+
+      const text = document.createElement('span');
+      text.textContent = typeof w === 'string' ? w : (w.text || w.message || '');
+      item.appendChild(text);
+
+      if (w.action && w.action.label) {
+        const btn = document.createElement('button');
+        btn.className = 'pi-warning-action';
+        btn.textContent = w.action.label;
+        btn.addEventListener('click', () => runWarningAction(w.action));
+        item.appendChild(btn);
+      }
+      warningsEl.appendChild(item);
+    });
+  }
+
+  /**
+   * Injection / jailbreak findings with the offending text; hidden when the
+   * backend found none (or is too old to check).
+   */
+  function renderInjection(injection) {
+    const section = shadowRoot.querySelector('#pi-injection-section');
+    const list = shadowRoot.querySelector('#pi-injection');
+    if (!injection || !injection.findings || injection.findings.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.style.display = 'block';
+    const level = injection.level || 'medium';
+    const badge = shadowRoot.querySelector('#pi-injection-level');
+    badge.textContent = msg('injectionRisk', [msg(`level${level.charAt(0).toUpperCase()}${level.slice(1)}`)]);
+    badge.className = `pi-injection-level pi-injection-level--${level}`;
+
+    list.innerHTML = '';
+    injection.findings.forEach((f) => {
+      const item = document.createElement('div');
+      item.className = `pi-injection-item pi-injection-item--${f.severity}`;
+
+      const head = document.createElement('div');
+      head.className = 'pi-injection-item__head';
+      const kind = document.createElement('span');
+      kind.textContent = chrome.i18n.getMessage(`injection_${f.type}`) || f.label || f.type;
+      head.appendChild(kind);
+      if (f.embedded) {
+        const tag = document.createElement('span');
+        tag.className = 'pi-injection-item__tag';
+        tag.textContent = msg('injectionEmbedded');
+        head.appendChild(tag);
+      }
+      item.appendChild(head);
+
+      // Invisible characters are shown by code point
+      const excerpt = document.createElement('code');
+      excerpt.className = 'pi-injection-item__text';
+      excerpt.textContent = f.codepoints ? f.codepoints.join(' ') : f.text;
+      item.appendChild(excerpt);
+
+      list.appendChild(item);
+    });
+  }
+
+  function runWarningAction(action) {
+    switch (action.type) {
+      case 'add_constraint': {
+        const group = shadowRoot.querySelector(`.pi-chip-group[data-gap="${action.category}"]`);
+        if (!group) break;
+        group.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        group.classList.add('pi-chip-group--highlight');
+        setTimeout(() => group.classList.remove('pi-chip-group--highlight'), 1500);
+        break;
+      }
+      case 'resolve_conflict':
+        shadowRoot.querySelector('#pi-conflicts-section')
+          .scrollIntoView({ behavior: 'smooth', block: 'center' });
+        break;
+      case 'edit_prompt': {
+        const textarea = shadowRoot.querySelector('#pi-original-edit');
+        // Only enter edit mode — a second click would save and leave it
+        if (textarea.style.display === 'none') {
+          shadowRoot.querySelector('#pi-edit-original').click();
+        }
+        textarea.focus();
+        break;
+      }
+      case 'restore_version':
+        restoreVersion(action.version);
+        break;
+      case 'review_injection':
+        shadowRoot.querySelector('#pi-injection-section')
+          .scrollIntoView({ behavior: 'smooth', block: 'center' });
+        break;
+      case 'redact_sensitive': {
+        const findings = PISecretScanner.scan(originalText);
+        if (findings.length > 0) showSensitive(originalText, findings);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  async function restoreVersion(label) {
+    if (!currentPromptId) return;
+    showLoading();
+
+    try {
+      const res = await fetch(`${API_BASE}/prompt/${encodeURIComponent(currentPromptId)}/restore`, {
+        method: 'POST',
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ label }),
+      });
+
+      if (!res.ok) throw new Error(msg('serverError', [String(res.status)]));
+
+      const data = await res.json();
+      renderRefined(data);
+    } catch (err) {
+      showError(err.message);
+    }
+  }
+
   function renderRefined(data) {
     const loading = shadowRoot.querySelector('#pi-loading');
     loading.style.display = 'none';
@@ -733,16 +1271,9 @@ if (window.__PI_CONTENT_LOADED__) {
     if (data.scores) renderScores(data.scores);
 
     // Update warnings
-    const warningsSection = shadowRoot.querySelector('#pi-warnings-section');
-    const warningsEl = shadowRoot.querySelector('#pi-warnings');
-    if (data.warnings && data.warnings.length > 0) {
-      warningsSection.style.display = 'block';
-      warningsEl.innerHTML = data.warnings.map((w) =>
-        `<div class="pi-warning-item">${escapeHtml(w)}</div>`
-      ).join('');
-    } else {
-      warningsSection.style.display = 'none';
-    }
+    renderWarnings(data.warnings);
+
+    showConflicts(data.conflicts || []);
 
     // Hide the chips section — user is past constraint selection
     const chipsSection = shadowRoot.querySelector('#pi-chips-section');
@@ -751,13 +1282,94 @@ if (window.__PI_CONTENT_LOADED__) {
     // Show refined prompt
     const refinedSection = shadowRoot.querySelector('#pi-refined-section');
     refinedSection.style.display = 'block';
-    shadowRoot.querySelector('#pi-refined-text').textContent =
-      data.refined || (data.versions && data.versions[data.versions.length - 1].text) || '';
+    if (data.refined) {
+      renderWithPlaceholders(shadowRoot.querySelector('#pi-refined-text'), data.refined, data.placeholders);
+    } else {
+      shadowRoot.querySelector('#pi-refined-text').textContent =
+        (data.versions && data.versions[data.versions.length - 1].text) || '';
+    }
+
+    renderDrift(data.drift);
+    loadDriftTimeline(data.promptId || currentPromptId);
+  }
+
+  /**
+   * Per-version drift vs the original, flagging the step where it started to slip.
+   */
+  async function loadDriftTimeline(promptId) {
+    const el = shadowRoot.querySelector('#pi-drift-timeline');
+    el.style.display = 'none';
+    if (!promptId) return;
+
+    try {
+      const res = await fetch(`${API_BASE}/prompt/${encodeURIComponent(promptId)}/drift`);
+      if (!res.ok) return;
+      const data = await res.json();
+      const steps = (data.steps || []).filter((step) => step.fromOriginal);
+      if (steps.length < 2) return;
+
+      el.innerHTML = `<div class="pi-drift__summary">${msg('driftAcrossVersions')}</div>` + steps.map((step) => {
+        const flagged = step.label === data.driftStartedAt;
+        return `
+          <div class="pi-drift-step${flagged ? ' pi-drift-step--flagged' : ''}">
+            <span class="pi-drift-step__label">${escapeHtml(step.label.replace(/_/g, ' '))}</span>
+            <span class="pi-drift-step__coverage">${msg('driftKept', [String(Math.round(step.fromOriginal.coverage * 100))])}</span>
+            ${flagged ? `<span class="pi-drift-step__flag">${msg('driftSlipping')}</span>` : ''}
+          </div>`;
+      }).join('');
+      el.style.display = 'block';
+    } catch {
+      // Timeline is optional — leave it hidden
+    }
+  }
+
+  /**
+   * Key terms the refinement lost / introduced compared to the original.
+   */
+  function renderDrift(drift) {
+    const el = shadowRoot.querySelector('#pi-drift');
+    const lost = drift?.lostTerms || [];
+    const introduced = drift?.introducedTerms || [];
+    if (lost.length === 0 && introduced.length === 0) {
+      el.style.display = 'none';
+      return;
+    }
+
+    const terms = (list, kind) => list.slice(0, 8)
+      .map((t) => `<span class="pi-drift__term pi-drift__term--${kind}">${escapeHtml(t)}</span>`)
+      .join('');
+    el.innerHTML = `
+      <div class="pi-drift__summary">${msg('driftSimilarity', [String(Math.round((drift.similarity || 0) * 100))])}</div>
+      ${lost.length ? `<div class="pi-drift__row"><span class="pi-drift__label">${msg('driftLost')}</span>${terms(lost, 'lost')}</div>` : ''}
+      ${introduced.length ? `<div class="pi-drift__row"><span class="pi-drift__label">${msg('driftAdded')}</span>${terms(introduced, 'added')}</div>` : ''}`;
+    el.style.display = 'block';
+  }
+
+  /**
+   * Render text with unfilled placeholders ({{topic}}, [INSERT CODE], …)
+   * highlighted inline. Offsets come from the backend placeholderDetector.
+   */
+  function renderWithPlaceholders(el, text, placeholders) {
+    const valid = (placeholders || []).filter((p) => text.slice(p.start, p.end) === p.text);
+    if (valid.length === 0) {
+      el.textContent = text;
+      return;
+    }
+
+    let html = '';
+    let pos = 0;
+    for (const p of valid) {
+      html += escapeHtml(text.slice(pos, p.start));
+      html += `<mark class="pi-placeholder" title="${msg('unfilledPlaceholder')}">${escapeHtml(p.text)}</mark>`;
+      pos = p.end;
+    }
+    html += escapeHtml(text.slice(pos));
+    el.innerHTML = html;
   }
 
   function renderScores(scores) {
     const total = scores.total || 0;
-    const max = 40;
+    const max = scores.maxScore || 40;
     const pct = Math.round((total / max) * 100);
     const grade = pct >= 80 ? 'excellent' : pct >= 60 ? 'good' : pct >= 40 ? 'fair' : 'poor';
 
@@ -768,10 +1380,10 @@ if (window.__PI_CONTENT_LOADED__) {
     </div>`;
 
     const dims = [
-      { label: 'Clarity', value: scores.clarity || 0 },
-      { label: 'Completeness', value: scores.completeness || 0 },
-      { label: 'Specificity', value: scores.specificity || 0 },
-      { label: 'Intent Alignment', value: scores.intentAlignment || 0 },
+      { label: msg('scoreClarity'), value: scores.clarity || 0 },
+      { label: msg('scoreCompleteness'), value: scores.completeness || 0 },
+      { label: msg('scoreSpecificity'), value: scores.specificity || 0 },
+      { label: msg('scoreIntentAlignment'), value: scores.intentAlignment || 0 },
     ];
 
     shadowRoot.querySelector('#pi-score-bars').innerHTML = dims.map((d) => {
@@ -788,11 +1400,18 @@ if (window.__PI_CONTENT_LOADED__) {
     }).join('');
   }
 
-  function renderChips(gaps, suggestions) {
+  function renderChips(gaps, suggestions, labels = {}, detected = {}, detectedOptions = {}) {
     const container = shadowRoot.querySelector('#pi-chips');
 
-    for (const gap of gaps) {
-      const options = suggestions[gap] || [];
+    // Constraints the prompt already sets come first, pre-selected, so the
+    // user can keep or override them; then the missing ones
+    const groups = [...Object.keys(detected), ...gaps.filter((gap) => !(gap in detected))];
+
+    for (const gap of groups) {
+      const value = detected[gap];
+      const options = value
+        ? (detectedOptions[gap] || suggestions[gap] || [value])
+        : (suggestions[gap] || []);
       if (options.length === 0) continue;
 
       const group = document.createElement('div');
@@ -801,7 +1420,13 @@ if (window.__PI_CONTENT_LOADED__) {
 
       const label = document.createElement('div');
       label.className = 'pi-chip-label';
-      label.textContent = gap.replace(/_/g, ' ');
+      label.textContent = labels[gap] || gap.replace(/_/g, ' ');
+      if (value) {
+        const hint = document.createElement('span');
+        hint.className = 'pi-chip-detected';
+        hint.textContent = msg('fromYourPrompt');
+        label.appendChild(hint);
+      }
       group.appendChild(label);
 
       const chipsRow = document.createElement('div');
@@ -810,6 +1435,7 @@ if (window.__PI_CONTENT_LOADED__) {
       for (const option of options) {
         const chip = document.createElement('button');
         chip.className = 'pi-chip';
+        if (option === value) chip.classList.add('pi-chip--selected');
         chip.textContent = option;
         chip.setAttribute('data-gap', gap);
         chip.setAttribute('data-value', option);
@@ -838,9 +1464,67 @@ if (window.__PI_CONTENT_LOADED__) {
         selections[gap].push(value);
       }
     });
+    // Values the user picked when resolving a conflict win over chips
+    for (const [gap, value] of Object.entries(conflictResolutions)) {
+      selections[gap] = [value];
+    }
     return selections;
   }
 
+  /**
+   * List conflicting constraints with one button per value; once every
+   * conflict has a winner, `onResolved` (optional) re-runs the interrupted action.
+   */
+  function showConflicts(conflicts, onResolved) {
+    const section = shadowRoot.querySelector('#pi-conflicts-section');
+    const container = shadowRoot.querySelector('#pi-conflicts');
+    container.innerHTML = '';
+    section.style.display = conflicts.length > 0 ? 'block' : 'none';
+    if (onResolved && conflicts.length > 0) {
+      section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    let remaining = conflicts.length;
+    for (const conflict of conflicts) {
+      const item = document.createElement('div');
+      item.className = 'pi-conflict';
+
+      const question = document.createElement('div');
+      question.className = 'pi-conflict__question';
+      question.textContent = msg('conflictQuestion', [conflict.label]);
+      item.appendChild(question);
+
+      const row = document.createElement('div');
+      row.className = 'pi-chips-row';
+      for (const value of conflict.values) {
+        const btn = document.createElement('button');
+        btn.className = 'pi-chip';
+        btn.textContent = value;
+        btn.addEventListener('click', () => {
+          resolveConflict(conflict.category, value);
+          item.remove();
+          remaining -= 1;
+          if (remaining === 0) {
+            section.style.display = 'none';
+            if (onResolved) onResolved();
+          }
+        });
+        row.appendChild(btn);
+      }
+      item.appendChild(row);
+      container.appendChild(item);
+    }
+  }
+
+  function resolveConflict(category, value) {
+    conflictResolutions[category] = value;
+    accumulatedSelections[category] = [value];
+    // Keep the chips in sync with the choice
+    shadowRoot.querySelectorAll(`.pi-chip[data-gap="${category}"]`).forEach((chip) => {
+      chip.classList.toggle('pi-chip--selected', chip.getAttribute('data-value') === value);
+    });
+  }
+
   /* ── History Persistence & Rendering ────────────────────── */
 
   function saveToHistory(promptText, data) {
@@ -850,7 +1534,7 @@ if (window.__PI_CONTENT_LOADED__) {
         id: entryId,
         text: promptText,
         score: data.scores?.total || 0,
-        maxScore: 40,
+        maxScore: data.scores?.maxScore || 40,
         intent: data.intent?.detected || 'general',
         timestamp: Date.now(),
       };
@@ -906,8 +1590,8 @@ if (window.__PI_CONTENT_LOADED__) {
       card.innerHTML = `
         <div class="pi-hcard__top">
           <span class="pi-hcard__score pi-hcard__score--${grade}">${entry.score}/${entry.maxScore || 40}</span>
-          <span class="pi-hcard__intent">${(entry.intent || 'general').replace(/_/g, ' ')}</span>
-          <button class="pi-hcard__del" data-hid="${entry.id}" title="Delete">&times;</button>
+          <span class="pi-hcard__intent">${escapeHtml(intentLabel(entry.intent))}</span>
+          <button class="pi-hcard__del" data-hid="${entry.id}" title="${msg('deleteEntry')}">&times;</button>
         </div>
         <div class="pi-hcard__text">${escapeHtml(truncated)}</div>
         <div class="pi-hcard__time">${timeAgo(entry.timestamp)}</div>
@@ -931,18 +1615,126 @@ if (window.__PI_CONTENT_LOADED__) {
   function timeAgo(ts) {
     if (!ts) return '';
     const sec = Math.floor((Date.now() - ts) / 1000);
-    if (sec < 60) return 'just now';
+    if (sec < 60) return msg('timeJustNow');
     const min = Math.floor(sec / 60);
-    if (min < 60) return `${min}m ago`;
+    if (min < 60) return msg('timeMinutesAgo', [String(min)]);
     const hr = Math.floor(min / 60);
-    if (hr < 24) return `${hr}h ago`;
+    if (hr < 24) return msg('timeHoursAgo', [String(hr)]);
     const day = Math.floor(hr / 24);
-    if (day < 7) return `${day}d ago`;
-    return new Date(ts).toLocaleDateString();
+    if (day < 7) return msg('timeDaysAgo', [String(day)]);
+    return new Date(ts).toLocaleDateString(UI_LOCALE);
+  }
+
+  /* ── Template Library ──────────────────────────────────── */
+
+  async function loadTemplates(panel) {
+    const list = panel.querySelector('#pi-templates-list');
+    const empty = panel.querySelector('#pi-templates-empty');
+    const emptyMsg = panel.querySelector('#pi-templates-empty-msg');
+    panel.querySelector('#pi-template-form').style.display = 'none';
+    list.innerHTML = '';
+
+    try {
+      const res = await fetch(`${API_BASE}/templates`);
+      if (!res.ok) throw new Error(msg('serverError', [String(res.status)]));
+      const { items } = await res.json();
+      renderTemplateList(panel, items || []);
+    } catch (err) {
+      list.style.display = 'none';
+      empty.style.display = 'flex';
+      emptyMsg.textContent = msg('templatesLoadFailed', [err.message]);
+    }
+  }
+
+  function renderTemplateList(panel, templates) {
+    const list = panel.querySelector('#pi-templates-list');
+    const empty = panel.querySelector('#pi-templates-empty');
+    const emptyMsg = panel.querySelector('#pi-templates-empty-msg');
+
+    if (templates.length === 0) {
+      list.style.display = 'none';
+      empty.style.display = 'flex';
+      emptyMsg.textContent = msg('templatesEmpty');
+      return;
+    }
+
+    list.style.display = 'block';
+    empty.style.display = 'none';
+
+    templates.forEach((template) => {
+      const card = document.createElement('div');
+      card.className = 'pi-hcard pi-hcard--clickable';
+      card.innerHTML = `
+        <div class="pi-hcard__top">
+          <span class="pi-template-name">${escapeHtml(template.name)}</span>
+          <span class="pi-hcard__intent">${escapeHtml(template.targetIntent ? intentLabel(template.targetIntent) : '')}</span>
+        </div>
+        <div class="pi-hcard__text">${escapeHtml(template.description || template.body)}</div>
+        <div class="pi-hcard__time">${(template.tags || []).map((t) => `#${escapeHtml(t)}`).join(' ')}</div>
+      `;
+      card.addEventListener('click', () => showTemplateForm(panel, template));
+      list.appendChild(card);
+    });
+  }
+
+  function showTemplateForm(panel, template) {
+    const form = panel.querySelector('#pi-template-form');
+    panel.querySelector('#pi-templates-list').style.display = 'none';
+    form.style.display = 'block';
+    form.setAttribute('data-template-id', template.templateId);
+    panel.querySelector('#pi-template-form-name').textContent = template.name;
+    panel.querySelector('#pi-template-form-body').textContent = template.body;
+
+    const vars = panel.querySelector('#pi-template-vars');
+    vars.innerHTML = '';
+    (template.variables || []).forEach((name) => {
+      const label = document.createElement('label');
+      label.className = 'pi-chip-label';
+      label.textContent = name.replace(/[_-]/g, ' ');
+
+      const input = document.createElement('input');
+      input.className = 'pi-original-edit pi-template-var';
+      input.setAttribute('data-var', name);
+
+      vars.appendChild(label);
+      vars.appendChild(input);
+    });
+  }
+
+  async function useTemplate(panel, templateId, variables) {
+    showLoading();
+
+    try {
+      const res = await fetch(`${API_BASE}/templates/${encodeURIComponent(templateId)}/render`, {
+        method: 'POST',
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ variables }),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || msg('serverError', [String(res.status)]));
+
+      // The rendered template becomes the prompt being worked on; it reaches
+      // the page only through the Paste button, like any refined prompt
+      originalText = data.rendered;
+      accumulatedSelections = {};
+      conflictResolutions = {};
+      currentPromptId = data.promptId;
+      renderResults(data);
+      saveToHistory(data.rendered, data);
+    } catch (err) {
+      showError(err.message);
+    }
   }
 
   /* ── Utilities ─────────────────────────────────────────── */
 
+  // Intents without a message (added on the backend later) show their raw name
+  function intentLabel(intent) {
+    const name = intent || 'general';
+    return chrome.i18n.getMessage(`intent_${name}`) || name.replace(/_/g, ' ');
+  }
+
   function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -1102,6 +1894,21 @@ if (window.__PI_CONTENT_LOADED__) {
       to { transform: rotate(360deg); }
     }
 
+    .pi-spinner--sm {
+      width: 14px;
+      height: 14px;
+      border-width: 2px;
+    }
+
+    .pi-ai-pending {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 16px;
+      font-size: 11.5px;
+      color: #6b6b80;
+    }
+
     /* ── Sections ── */
     .pi-section {
       margin-bottom: 16px;
@@ -1175,6 +1982,12 @@ if (window.__PI_CONTENT_LOADED__) {
       border: 1px solid rgba(129, 140, 248, 0.25);
     }
 
+    .pi-badge--secondary {
+      background: rgba(129, 140, 248, 0.06);
+      color: #a5b4fc;
+      border: 1px dashed rgba(129, 140, 248, 0.3);
+    }
+
     .pi-badge--confidence {
       font-size: 10px;
       font-weight: 500;
@@ -1293,6 +2106,133 @@ if (window.__PI_CONTENT_LOADED__) {
       color: #fbbf24;
       margin-bottom: 6px;
       line-height: 1.4;
+      display: flex;
+      align-items: flex-start;
+      justify-content: space-between;
+      gap: 8px;
+    }
+
+    .pi-warning-item--high {
+      background: rgba(248, 113, 113, 0.06);
+      border-color: rgba(248, 113, 113, 0.2);
+      color: #f87171;
+    }
+
+    .pi-warning-item--low {
+      background: rgba(136, 136, 160, 0.06);
+      border-color: rgba(136, 136, 160, 0.15);
+      color: #b0b0c8;
+    }
+
+    .pi-warning-action {
+      flex-shrink: 0;
+      padding: 2px 8px;
+      background: transparent;
+      border: 1px solid currentColor;
+      border-radius: 6px;
+      font-size: 11px;
+      color: inherit;
+      cursor: pointer;
+    }
+
+    .pi-warning-action:hover {
+      background: rgba(255, 255, 255, 0.06);
+    }
+
+    .pi-chip-group--highlight {
+      outline: 1px solid rgba(129, 140, 248, 0.6);
+      border-radius: 8px;
+    }
+
+    /* ── Drift (lost / added key terms) ── */
+    .pi-drift {
+      margin-bottom: 12px;
+      font-size: 11px;
+      color: #8888a0;
+    }
+
+    .pi-drift__summary {
+      margin-bottom: 6px;
+    }
+
+    .pi-drift__row {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px;
+      margin-bottom: 4px;
+    }
+
+    .pi-drift__label {
+      min-width: 42px;
+      font-weight: 600;
+    }
+
+    .pi-drift__term {
+      padding: 2px 8px;
+      border-radius: 10px;
+    }
+
+    .pi-drift__term--lost {
+      background: rgba(239, 68, 68, 0.1);
+      color: #fca5a5;
+      text-decoration: line-through;
+    }
+
+    .pi-drift__term--added {
+      background: rgba(52, 211, 153, 0.1);
+      color: #6ee7b7;
+    }
+
+    .pi-drift-timeline {
+      margin-bottom: 12px;
+      font-size: 11px;
+      color: #8888a0;
+    }
+
+    .pi-drift-step {
+      display: flex;
+      gap: 8px;
+      padding: 3px 8px;
+      border-radius: 6px;
+    }
+
+    .pi-drift-step__label {
+      min-width: 90px;
+      text-transform: capitalize;
+    }
+
+    .pi-drift-step--flagged {
+      background: rgba(239, 68, 68, 0.08);
+      color: #fca5a5;
+    }
+
+    .pi-drift-step__flag {
+      font-weight: 600;
+    }
+
+    /* ── Conflicting Constraints ── */
+    .pi-conflict {
+      padding: 8px 12px;
+      background: rgba(239, 68, 68, 0.06);
+      border: 1px solid rgba(239, 68, 68, 0.18);
+      border-radius: 8px;
+      margin-bottom: 6px;
+    }
+
+    .pi-conflict__question {
+      font-size: 12px;
+      color: #fca5a5;
+      margin-bottom: 6px;
+    }
+
+    /* ── Placeholder Highlights ── */
+    .pi-placeholder {
+      background: rgba(251, 191, 36, 0.18);
+      color: #fcd34d;
+      border-radius: 3px;
+      padding: 0 2px;
+      box-shadow: inset 0 -1px 0 rgba(251, 191, 36, 0.6);
     }
 
     /* ── Chips ── */
@@ -1308,6 +2248,13 @@ if (window.__PI_CONTENT_LOADED__) {
       margin-bottom: 6px;
     }
 
+    .pi-chip-detected {
+      margin-left: 6px;
+      font-weight: 500;
+      text-transform: none;
+      color: #6ee7b7;
+    }
+
     .pi-chips-row {
       display: flex;
       flex-wrap: wrap;
@@ -1470,6 +2417,122 @@ if (window.__PI_CONTENT_LOADED__) {
       font-size: 12px;
       color: #8888a0;
     }
+
+    /* ── Injection findings ── */
+    .pi-injection {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+    }
+
+    .pi-injection-level {
+      padding: 2px 8px;
+      border-radius: 999px;
+      font-size: 10px;
+      text-transform: none;
+      letter-spacing: 0;
+      background: rgba(251, 191, 36, 0.15);
+      color: #fbbf24;
+    }
+
+    .pi-injection-level--high {
+      background: rgba(252, 165, 165, 0.15);
+      color: #fca5a5;
+    }
+
+    .pi-injection-level--low {
+      background: rgba(136, 136, 160, 0.15);
+      color: #8888a0;
+    }
+
+    .pi-injection-item {
+      padding: 8px 10px;
+      border-radius: 8px;
+      border-left: 3px solid #fbbf24;
+      background: rgba(251, 191, 36, 0.06);
+      font-size: 12px;
+    }
+
+    .pi-injection-item--high {
+      border-left-color: #fca5a5;
+      background: rgba(252, 165, 165, 0.06);
+    }
+
+    .pi-injection-item--low {
+      border-left-color: #8888a0;
+    }
+
+    .pi-injection-item__head {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 4px;
+    }
+
+    .pi-injection-item__tag {
+      padding: 1px 6px;
+      border-radius: 4px;
+      font-size: 10px;
+      background: rgba(129, 140, 248, 0.15);
+      color: #a5b4fc;
+    }
+
+    .pi-injection-item__text {
+      display: block;
+      font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      font-size: 11px;
+      color: #8888a0;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+
+    /* ── Sensitive data screening ── */
+    .pi-sensitive__hint {
+      margin: 0 0 10px;
+      font-size: 12px;
+      line-height: 1.5;
+      color: #8888a0;
+    }
+
+    .pi-sensitive__list {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      margin-bottom: 12px;
+    }
+
+    .pi-sensitive__item {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 10px;
+      border-radius: 8px;
+      background: rgba(252, 165, 165, 0.08);
+      border: 1px solid rgba(252, 165, 165, 0.2);
+      font-size: 12px;
+      cursor: pointer;
+    }
+
+    .pi-sensitive__kind {
+      flex: 1;
+      color: #fca5a5;
+    }
+
+    .pi-sensitive__preview {
+      font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      font-size: 11px;
+      color: #8888a0;
+    }
+
+    .pi-restore-toggle {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-top: 8px;
+      font-size: 11px;
+      color: #8888a0;
+      cursor: pointer;
+    }
     /* ── History View ── */
     .pi-history-view {
       padding: 0;
@@ -1585,6 +2648,37 @@ if (window.__PI_CONTENT_LOADED__) {
       word-break: break-word;
     }
 
+    .pi-hcard--clickable {
+      cursor: pointer;
+    }
+
+    .pi-template-name {
+      font-size: 12px;
+      font-weight: 600;
+      color: #c4b5fd;
+    }
+
+    .pi-template-form__name {
+      font-size: 13px;
+      font-weight: 600;
+      color: #e2e2f0;
+      margin-bottom: 6px;
+    }
+
+    .pi-template-form__body {
+      font-size: 11.5px;
+      color: #8888a0;
+      white-space: pre-wrap;
+      word-break: break-word;
+      margin-bottom: 12px;
+    }
+
+    .pi-template-var {
+      min-height: 0;
+      margin-bottom: 10px;
+      resize: none;
+    }
+
     .pi-hcard__time {
       font-size: 9px;
       color: rgba(255,255,255,0.2);
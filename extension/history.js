@@ -3,6 +3,7 @@
  *
  * Reads analysis history from chrome.storage.local and renders
  * a rich card grid with scores, intents, timestamps, and delete actions.
+ * Static text is tagged with data-i18n attributes and filled from _locales/.
  */
 
 (function () {
@@ -13,6 +14,25 @@
     const clearBtn = document.getElementById('clear-all');
     const countEl = document.getElementById('history-count');
 
+    /* ── Localization ───────────────────────────────────── */
+
+    const UI_LOCALE = chrome.i18n.getUILanguage();
+
+    function msg(key, substitutions) {
+        return chrome.i18n.getMessage(key, substitutions) || key;
+    }
+
+    function localizePage() {
+        document.documentElement.lang = UI_LOCALE;
+        document.querySelectorAll('[data-i18n]').forEach((el) => {
+            el.textContent = msg(el.getAttribute('data-i18n'));
+        });
+        // Bundled messages with inline markup (<strong>, <em>, …)
+        document.querySelectorAll('[data-i18n-html]').forEach((el) => {
+            el.innerHTML = msg(el.getAttribute('data-i18n-html'));
+        });
+    }
+
     /* ── Load and Render ────────────────────────────────── */
 
     function loadHistory() {
@@ -35,7 +55,9 @@
         body.style.display = 'grid';
         emptyState.style.display = 'none';
         clearBtn.style.display = 'inline-flex';
-        countEl.textContent = `${history.length} prompt${history.length !== 1 ? 's' : ''}`;
+        countEl.textContent = history.length === 1
+            ? msg('historyCountOne')
+            : msg('historyCountMany', [String(history.length)]);
 
         history.forEach((entry, index) => {
             const card = document.createElement('div');
@@ -52,8 +74,8 @@
             <span class="card__score-num">${entry.score}</span>
             <span class="card__score-max">/${entry.maxScore || 40}</span>
           </div>
-          <span class="card__intent">${(entry.intent || 'general').replace(/_/g, ' ')}</span>
-          <button class="card__delete" data-id="${entry.id}" title="Remove">
+          <span class="card__intent">${escapeHtml(intentLabel(entry.intent))}</span>
+          <button class="card__delete" data-id="${entry.id}" title="${msg('remove')}">
             <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2">
               <line x1="18" y1="6" x2="6" y2="18"/>
               <line x1="6" y1="6" x2="18" y2="18"/>
@@ -97,7 +119,7 @@
     }
 
     clearBtn.addEventListener('click', () => {
-        if (confirm('Clear all prompt history?')) {
+        if (confirm(msg('historyConfirmClear'))) {
             chrome.storage.local.set({ piHistory: [] }, () => {
                 renderHistory([]);
             });
@@ -112,11 +134,16 @@
         return div.innerHTML;
     }
 
+    function intentLabel(intent) {
+        const name = intent || 'general';
+        return chrome.i18n.getMessage(`intent_${name}`) || name.replace(/_/g, ' ');
+    }
+
     function gradeLabel(pct) {
-        if (pct >= 80) return 'Excellent';
-        if (pct >= 60) return 'Good';
-        if (pct >= 40) return 'Fair';
-        return 'Needs Work';
+        if (pct >= 80) return msg('gradeExcellent');
+        if (pct >= 60) return msg('gradeGood');
+        if (pct >= 40) return msg('gradeFair');
+        return msg('gradeNeedsWork');
     }
 
     function formatTime(ts) {
@@ -126,17 +153,18 @@
         const diffMs = now - d;
         const diffSec = Math.floor(diffMs / 1000);
 
-        if (diffSec < 60) return 'just now';
+        if (diffSec < 60) return msg('timeJustNow');
         const diffMin = Math.floor(diffSec / 60);
-        if (diffMin < 60) return `${diffMin}m ago`;
+        if (diffMin < 60) return msg('timeMinutesAgo', [String(diffMin)]);
         const diffHr = Math.floor(diffMin / 60);
-        if (diffHr < 24) return `${diffHr}h ago`;
+        if (diffHr < 24) return msg('timeHoursAgo', [String(diffHr)]);
         const diffDay = Math.floor(diffHr / 24);
-        if (diffDay < 7) return `${diffDay}d ago`;
+        if (diffDay < 7) return msg('timeDaysAgo', [String(diffDay)]);
 
-        return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: d.getFullYear() !== now.getFullYear() ? 'numeric' : undefined });
+        return d.toLocaleDateString(UI_LOCALE, { month: 'short', day: 'numeric', year: d.getFullYear() !== now.getFullYear() ? 'numeric' : undefined });
     }
 
     /* ── Init ────────────────────────────────────────────── */
+    localizePage();
     loadHistory();
 })();
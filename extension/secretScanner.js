@@ -0,0 +1,141 @@
+/**
+ * secretScanner.js — Local secret & PII detection for the panel
+ *
+ * Runs in the page before a prompt is sent anywhere: finds API keys,
+ * tokens, passwords, high-entropy strings and personal data (emails,
+ * phone/card/social security numbers, IPs, internal hostnames), and swaps
+ * the ones the user picks for reversible placeholders like [REDACTED_EMAIL_1].
+ *
+ * The patterns come from secretRules.js, generated from the backend's
+ * config/secretRules.json so both scanners share one rule list; the
+ * validators they name are implemented here and in the backend scanner,
+ * and `npm run check:secret-rules` runs both on the same corpus.
+ * Loaded after secretRules.js and before content.js, exposed as
+ * window.PISecretScanner.
+ */
+
+window.PISecretScanner = window.PISecretScanner || (() => {
+  const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  function luhn(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        d *= 2;
+        if (d > 9) d -= 9;
+      }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+
+  // Checks a rule can name in secretRules ("validate": "luhn")
+  const VALIDATORS = {
+    luhn,
+    phone: (value) => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 10 && digits <= 15 && /^\+|[\s.()-]/.test(value);
+    },
+    // Every octet in range; loopback and 0.0.0.0 are harmless
+    ipv4: (value) => value.split('.').every((octet) => Number(octet) <= 255)
+      && !/^(?:127\.|0\.0\.0\.0$)/.test(value),
+  };
+
+  const RULES = window.PISecretRules.rules.map((rule) => ({
+    ...rule,
+    regex: new RegExp(rule.pattern, `g${rule.flags || ''}`),
+    validate: rule.validate ? VALIDATORS[rule.validate] : null,
+  }));
+
+  /* ── Entropy check: long random-looking tokens no pattern names ── */
+  const ENTROPY_TOKEN = new RegExp(window.PISecretRules.entropy.pattern, 'g');
+  const ENTROPY_THRESHOLD = window.PISecretRules.entropy.threshold; // bits per character
+
+  function entropy(value) {
+    const counts = {};
+    for (const ch of value) counts[ch] = (counts[ch] || 0) + 1;
+    return Object.values(counts).reduce((sum, n) => {
+      const p = n / value.length;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+
+  function looksRandom(token) {
+    if (UUID.test(token) || /^[0-9a-f]+$/i.test(token)) return false; // ids and hashes
+    if (!/[A-Za-z]/.test(token) || !/\d/.test(token)) return false;
+    return entropy(token) >= ENTROPY_THRESHOLD;
+  }
+
+  // Findings as { type, source, text, start, end }, sorted and non-overlapping
+  function scan(text) {
+    const input = String(text || '');
+    const found = [];
+
+    for (const rule of RULES) {
+      for (const match of input.matchAll(rule.regex)) {
+        const value = rule.group ? match[rule.group] : match[0];
+        if (!value || (rule.validate && !rule.validate(value))) continue;
+        const start = match.index + (rule.group ? match[0].indexOf(value) : 0);
+        found.push({ type: rule.type, source: 'pattern', text: value, start, end: start + value.length });
+      }
+    }
+
+    for (const match of input.matchAll(ENTROPY_TOKEN)) {
+      if (!looksRandom(match[0])) continue;
+      found.push({
+        type: 'secret',
+        source: 'entropy',
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+
+    // Earliest, then longest match wins
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    const findings = [];
+    for (const f of found) {
+      const last = findings[findings.length - 1];
+      if (!last || f.start >= last.end) findings.push(f);
+    }
+    return findings;
+  }
+
+  // Preview that doesn't reveal the value: "AKIA…LE"
+  function mask(value) {
+    if (value.length <= 8) return `${value[0]}…`;
+    return `${value.slice(0, 4)}…${value.slice(-2)}`;
+  }
+
+  // Swap findings for placeholders; `existing` replacements are reused and extended
+  function redact(text, findings, existing = []) {
+    const replacements = [...existing];
+    let out = '';
+    let pos = 0;
+
+    for (const f of [...findings].sort((a, b) => a.start - b.start)) {
+      let replacement = replacements.find((r) => r.original === f.text);
+      if (!replacement) {
+        const n = replacements.filter((r) => r.type === f.type).length + 1;
+        replacement = { placeholder: `[REDACTED_${f.type.toUpperCase()}_${n}]`, original: f.text, type: f.type };
+        replacements.push(replacement);
+      }
+      out += text.slice(pos, f.start) + replacement.placeholder;
+      pos = f.end;
+    }
+
+    return { text: out + text.slice(pos), replacements };
+  }
+
+  function restore(text, replacements = []) {
+    return replacements.reduce(
+      (out, r) => out.split(r.placeholder).join(r.original),
+      String(text || '')
+    );
+  }
+
+  return { scan, mask, redact, restore };
+})();
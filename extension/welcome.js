@@ -8,6 +8,8 @@
  *  - Animated number counters
  *  - Canvas confetti celebration
  *  - Typing effect with realistic timing
+ *  - Text localized from _locales/ (data-i18n attributes); the sample
+ *    prompts stay in English, the language the analyzer's rules read
  */
 
 (function () {
@@ -29,6 +31,35 @@
         celebration: { r: 167, g: 139, b: 250 },
     };
 
+    /* ═══════════════════════════════════════════════════
+       LOCALIZATION
+       ═══════════════════════════════════════════════════ */
+    // The page also opens outside the extension (design previews) — keep the English markup there
+    const HAS_I18N = typeof chrome !== 'undefined' && !!chrome.i18n;
+
+    function msg(key, fallback) {
+        return (HAS_I18N && chrome.i18n.getMessage(key)) || fallback || key;
+    }
+
+    function localizePage() {
+        if (!HAS_I18N) return;
+        document.documentElement.lang = chrome.i18n.getUILanguage();
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = msg(el.getAttribute('data-i18n'));
+            // The glitch title draws its echo from data-text
+            if (el.hasAttribute('data-text')) el.setAttribute('data-text', el.textContent);
+        });
+        // Bundled messages with inline markup (<strong>, <em>, <kbd>)
+        document.querySelectorAll('[data-i18n-html]').forEach(el => {
+            el.innerHTML = msg(el.getAttribute('data-i18n-html'));
+        });
+        document.querySelectorAll('[data-i18n-suffix]').forEach(el => {
+            const suffix = msg(el.getAttribute('data-i18n-suffix'));
+            el.setAttribute('data-suffix', suffix);
+            el.textContent = '0' + suffix;
+        });
+    }
+
     let current = 0;
     let isTransitioning = false;
     let mouseX = window.innerWidth / 2;
@@ -356,7 +387,9 @@
     flipTrigger.addEventListener('click', () => {
         isFlipped = !isFlipped;
         flipCard.classList.toggle('flip-card--flipped', isFlipped);
-        flipLabel.textContent = isFlipped ? '🔄 Tap to see the original' : '🔄 Tap to see the magic';
+        flipLabel.textContent = isFlipped
+            ? msg('welcomeFlipOriginal', '🔄 Tap to see the original')
+            : msg('welcomeFlipMagic', '🔄 Tap to see the magic');
     });
 
     /* ═══════════════════════════════════════════════════
@@ -460,6 +493,8 @@
     /* ═══════════════════════════════════════════════════
        INITIALIZE
        ═══════════════════════════════════════════════════ */
+    localizePage();
+
     // Set initial theme
     const initTheme = slides[0].getAttribute('data-theme') || 'red';
     currentThemeColor = THEMES[initTheme] || THEMES.red;